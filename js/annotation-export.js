@@ -0,0 +1,149 @@
+/* ============================================
+   SnapRead — Annotation Export
+   A book's highlights and notes as Markdown
+   for people and JSON for tools
+   ============================================ */
+
+// JSON layout written by toJson; bump when it changes
+const ANNOTATION_EXPORT_FORMAT = 'snapread-annotations';
+const ANNOTATION_EXPORT_VERSION = 1;
+
+// Annotation types that carry passages worth exporting
+const EXPORTED_TYPES = ['highlight', 'note'];
+
+class AnnotationExport {
+    /**
+     * Download the highlights and notes of a book
+     * @param {Object} file - library file record
+     * @param {Object} doc - parsed document of the file
+     * @param {Object[]} list - the book's annotations
+     * @param {'markdown'|'json'} format
+     * @returns {number} Number of passages exported
+     */
+    download(file, doc, list, format) {
+        const entries = this.collect(doc, list);
+        if (entries.length === 0) return 0;
+
+        const base = app.safeFileName(doc.title || file.name);
+        if (format === 'json') {
+            const json = JSON.stringify(this.toJson(file, doc, entries), null, 2);
+            app.download(new Blob([json], { type: 'application/json' }), `${base} - highlights.json`);
+        } else {
+            app.download(new Blob([this.toMarkdown(doc, entries)], { type: 'text/markdown' }), `${base} - highlights.md`);
+        }
+        return entries.length;
+    }
+
+    /**
+     * Exported passages in reading order, each with its surrounding
+     * sentence, chapter and position
+     */
+    collect(doc, list) {
+        const words = doc.words;
+        return list
+            .filter(a => EXPORTED_TYPES.includes(a.type) && a.start < words.length)
+            .map((annotation) => {
+                const end = Math.min(annotation.end, words.length - 1);
+                const [sentenceStart, sentenceEnd] = this._sentenceBounds(words, annotation.start, end);
+                const chapter = FileParser.chapterAt(doc.chapters || [], annotation.start);
+                return {
+                    annotation,
+                    chapter: chapter ? chapter.title : null,
+                    text: this._join(words, annotation.start, end),
+                    sentence: {
+                        before: this._join(words, sentenceStart, annotation.start - 1),
+                        after: this._join(words, end + 1, sentenceEnd),
+                    },
+                    start: annotation.start,
+                    end,
+                    percent: Math.round((annotation.start / words.length) * 1000) / 10,
+                };
+            });
+    }
+
+    toMarkdown(doc, entries) {
+        const lines = [`# ${this._escapeMarkdown(doc.title)}`];
+        if (doc.author) lines.push('', `*${this._escapeMarkdown(doc.author)}*`);
+
+        const highlights = entries.filter(e => e.annotation.type === 'highlight').length;
+        const notes = entries.length - highlights;
+        lines.push('', `Exported from SnapRead on ${new Date().toISOString().slice(0, 10)} · ` +
+            `${highlights} highlight${highlights === 1 ? '' : 's'}, ${notes} note${notes === 1 ? '' : 's'}`);
+
+        let chapter;
+        for (const entry of entries) {
+            if (entry.chapter !== chapter) {
+                chapter = entry.chapter;
+                if (chapter) lines.push('', `## ${this._escapeMarkdown(chapter)}`);
+            }
+
+            // The passage in bold inside its sentence
+            const quote = [
+                this._escapeMarkdown(entry.sentence.before),
+                `**${this._escapeMarkdown(entry.text)}**`,
+                this._escapeMarkdown(entry.sentence.after),
+            ].filter(Boolean).join(' ');
+            lines.push('', `> ${quote}`);
+
+            if (entry.annotation.note) {
+                lines.push('', ...entry.annotation.note.split('\n').map(line => this._escapeMarkdown(line)));
+            }
+            lines.push('', `<sub>${entry.percent}% · words ${entry.start + 1}–${entry.end + 1}</sub>`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    toJson(file, doc, entries) {
+        return {
+            format: ANNOTATION_EXPORT_FORMAT,
+            version: ANNOTATION_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            book: {
+                title: doc.title,
+                author: doc.author || '',
+                format: doc.format,
+                file: file.name,
+                wordCount: doc.words.length,
+            },
+            annotations: entries.map(entry => ({
+                id: entry.annotation.id,
+                type: entry.annotation.type,
+                chapter: entry.chapter,
+                text: entry.text,
+                sentence: [entry.sentence.before, entry.text, entry.sentence.after].filter(Boolean).join(' '),
+                note: entry.annotation.note || '',
+                position: { start: entry.start, end: entry.end, percent: entry.percent },
+                createdAt: new Date(entry.annotation.createdAt).toISOString(),
+                updatedAt: new Date(entry.annotation.updatedAt).toISOString(),
+            })),
+        };
+    }
+
+    /**
+     * First and last word of the sentences that contain `start`..`end`
+     */
+    _sentenceBounds(words, start, end) {
+        let first = start;
+        while (first > 0 && !words[first - 1].sentenceEnd) first--;
+        let last = end;
+        while (last < words.length - 1 && !words[last].sentenceEnd) last++;
+        return [first, last];
+    }
+
+    _join(words, start, end) {
+        return words.slice(start, end + 1).map(t => t.text).join(' ');
+    }
+
+    /**
+     * Escape inline markup, and block markup at the start of a line
+     */
+    _escapeMarkdown(text) {
+        return String(text || '')
+            .replace(/[\\`*_[\]<]/g, '\\$&')
+            .replace(/^([#>+-])/, '\\$1');
+    }
+}
+
+// Export singleton
+const annotationExport = new AnnotationExport();
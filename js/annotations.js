@@ -0,0 +1,384 @@
+/* ============================================
+   SnapRead — Annotations
+   Highlights, notes and named bookmarks for
+   the open book, and the panel that lists them
+   ============================================ */
+
+// Longest quote shown in the annotations panel
+const ANNOTATION_QUOTE_CHARS = 160;
+
+const ANNOTATION_LABELS = {
+    highlight: 'Highlight',
+    note: 'Note',
+    bookmark: 'Bookmark',
+};
+
+class Annotations {
+    constructor() {
+        this.fileId = null;
+        this.list = []; // annotations of the open book, by position
+        this._selection = null; // { start, end } of the words selected in normal mode
+    }
+
+    /**
+     * Load the annotations of the book being opened; reader.parsedDoc
+     * must already hold its text
+     */
+    async load(fileId) {
+        this.fileId = fileId;
+        this.list = await Promise.all((await db.getAnnotations(fileId)).map(a => this._reanchor(a)));
+        this.list.sort((a, b) => a.start - b.start || a.end - b.end);
+        this._hideToolbar();
+        this.render();
+    }
+
+    /**
+     * Forget the closed book
+     */
+    close() {
+        this.fileId = null;
+        this.list = [];
+        this._hideToolbar();
+        this.togglePanel(false);
+    }
+
+    /**
+     * Create an annotation over words `start`..`end` (inclusive)
+     * @param {'highlight'|'note'|'bookmark'} type
+     * @param {Object} [extra] - { note, name }
+     */
+    async add(type, start, end, extra = {}) {
+        if (this.fileId === null) return null;
+        const annotation = await db.addAnnotation({
+            fileId: this.fileId,
+            type,
+            start,
+            end,
+            text: this._textOf(start, end),
+            anchor: positionAnchor.create(reader.parsedDoc, start),
+            endAnchor: positionAnchor.create(reader.parsedDoc, end),
+            ...extra,
+        });
+        this.list.push(annotation);
+        this.list.sort((a, b) => a.start - b.start || a.end - b.end);
+        this.render();
+        return annotation;
+    }
+
+    async update(id, changes) {
+        const updated = await db.updateAnnotation(id, changes);
+        this.list = this.list.map(a => (a.id === id ? updated : a));
+        this.render();
+    }
+
+    async remove(id) {
+        await db.deleteAnnotation(id);
+        this.list = this.list.filter(a => a.id !== id);
+        this.render();
+    }
+
+    /**
+     * Highlight the sentence containing word `index` (the RSVP hotkey)
+     */
+    async flagSentence(index) {
+        const words = reader.parsedDoc?.words;
+        if (!words || words.length === 0) return;
+
+        let start = Math.min(index, words.length - 1);
+        while (start > 0 && !words[start - 1].sentenceEnd) start--;
+        let end = start;
+        while (end < words.length - 1 && !words[end].sentenceEnd) end++;
+        if (end < index) end = index;
+
+        if (this.list.some(a => a.type === 'highlight' && a.start === start && a.end === end)) {
+            app.showToast('Sentence already highlighted', 'info');
+            return;
+        }
+        await this.add('highlight', start, end);
+        app.showToast('Sentence highlighted', 'success');
+    }
+
+    /**
+     * Add a named bookmark at word `index`
+     * @param {string} [name] - defaults to the chapter title
+     */
+    async addBookmark(index, name) {
+        const chapter = this._chapterAt(index);
+        const count = this.list.filter(a => a.type === 'bookmark').length + 1;
+        await this.add('bookmark', index, index, { name: name || chapter?.title || `Bookmark ${count}` });
+        app.showToast('Bookmark added', 'success');
+    }
+
+    // --- Panel ---
+
+    /**
+     * Open or close the annotations panel
+     */
+    togglePanel(open) {
+        const panel = document.getElementById('annotations-panel');
+        if (!panel) return;
+        const isOpen = open !== undefined ? open : !panel.classList.contains('open');
+        panel.classList.toggle('open', isOpen);
+        document.getElementById('btn-annotations')?.setAttribute('aria-expanded', String(isOpen));
+    }
+
+    /**
+     * Redraw the panel and the marks in the normal reader
+     */
+    render() {
+        this._renderPanel();
+        this.decorate();
+    }
+
+    _renderPanel() {
+        const list = document.getElementById('annotations-list');
+        if (!list) return;
+
+        if (this.list.length === 0) {
+            list.innerHTML = `<li class="annotations-empty">Select words in Read mode, or press H during RSVP to highlight the current sentence.</li>`;
+            return;
+        }
+
+        list.innerHTML = this.list.map((annotation) => {
+            const chapter = this._chapterAt(annotation.start);
+            const quote = annotation.type === 'bookmark'
+                ? annotation.name
+                : this._truncate(annotation.text);
+            const note = annotation.note
+                ? `<span class="annotation-note">${this._escapeHtml(annotation.note)}</span>`
+                : '';
+            return `
+        <li class="annotation-item annotation-${this._escapeHtml(annotation.type)}" data-annotation-id="${this._escapeHtml(annotation.id)}">
+          <span class="annotation-meta">${ANNOTATION_LABELS[annotation.type]}${chapter ? ' · ' + this._escapeHtml(chapter.title) : ''}</span>
+          <span class="annotation-quote">${this._escapeHtml(quote)}</span>
+          ${note}
+          <span class="annotation-actions">
+            <button class="annotation-action" data-action="edit">${annotation.type === 'bookmark' ? 'Rename' : 'Edit note'}</button>
+            <button class="annotation-action" data-action="delete">Delete</button>
+          </span>
+        </li>`;
+        }).join('');
+
+        list.querySelectorAll('.annotation-item').forEach(el => {
+            el.addEventListener('click', (e) => {
+                const annotation = this.list.find(a => a.id === el.dataset.annotationId);
+                if (!annotation) return;
+                const action = e.target.closest('[data-action]')?.dataset.action;
+                if (action === 'delete') {
+                    this.remove(annotation.id);
+                } else if (action === 'edit') {
+                    this._edit(annotation);
+                } else {
+                    reader.goTo(annotation.start);
+                }
+            });
+        });
+    }
+
+    _edit(annotation) {
+        if (annotation.type === 'bookmark') {
+            const name = prompt('Bookmark name', annotation.name);
+            if (name !== null && name.trim()) this.update(annotation.id, { name: name.trim() });
+            return;
+        }
+        const note = prompt('Note', annotation.note || '');
+        if (note !== null) this.update(annotation.id, { note: note.trim() });
+    }
+
+    /**
+     * Download the open book's highlights and notes
+     * @param {'markdown'|'json'} format
+     */
+    export(format) {
+        if (!reader.currentFile || !reader.parsedDoc) return;
+        const count = annotationExport.download(reader.currentFile, reader.parsedDoc, this.list, format);
+        if (count === 0) {
+            app.showToast('This book has no highlights or notes to export', 'info');
+        }
+    }
+
+    // --- Normal reading mode ---
+
+    /**
+     * Mark annotated words in the normal reader
+     */
+    decorate() {
+        const container = document.getElementById('normal-reader');
+        if (!container) return;
+
+        container.querySelectorAll('.hl, .note-mark, .bookmark-mark').forEach(el => {
+            el.classList.remove('hl', 'note-mark', 'bookmark-mark');
+            el.removeAttribute('title');
+        });
+
+        // Spans are rendered in token order, one per word
+        const spans = container.getElementsByClassName('word');
+        for (const annotation of this.list) {
+            if (annotation.type === 'bookmark') {
+                const span = spans[annotation.start];
+                if (!span) continue;
+                span.classList.add('bookmark-mark');
+                span.title = annotation.name;
+                continue;
+            }
+            const cls = annotation.type === 'note' ? 'note-mark' : 'hl';
+            for (let i = annotation.start; i <= annotation.end && i < spans.length; i++) {
+                spans[i].classList.add(cls);
+                if (annotation.note) spans[i].title = annotation.note;
+            }
+        }
+    }
+
+    /**
+     * Bind the selection toolbar and panel controls (called once on init)
+     */
+    bindEvents() {
+        const container = document.getElementById('normal-reader');
+        const showToolbar = () => setTimeout(() => this._onSelection(), 0);
+        container?.addEventListener('mouseup', showToolbar);
+        container?.addEventListener('touchend', showToolbar);
+        container?.addEventListener('keyup', showToolbar);
+        container?.addEventListener('scroll', () => this._hideToolbar());
+
+        document.getElementById('annotation-toolbar')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (btn && this._selection) this._annotateSelection(btn.dataset.type);
+        });
+        // Keep the selection when a toolbar button is pressed
+        document.getElementById('annotation-toolbar')?.addEventListener('mousedown', (e) => e.preventDefault());
+
+        document.getElementById('btn-annotations')?.addEventListener('click', () => this.togglePanel());
+        document.getElementById('annotations-close')?.addEventListener('click', () => this.togglePanel(false));
+        document.getElementById('annotations-export-md')?.addEventListener('click', () => this.export('markdown'));
+        document.getElementById('annotations-export-json')?.addEventListener('click', () => this.export('json'));
+        document.getElementById('annotations-add-bookmark')?.addEventListener('click', () => {
+            const name = prompt('Bookmark name', this._chapterAt(reader._displayedIndex)?.title || '');
+            if (name !== null) this.addBookmark(reader._displayedIndex, name.trim());
+        });
+    }
+
+    async _annotateSelection(type) {
+        const { start, end } = this._selection;
+        if (type === 'note') {
+            const note = prompt('Note');
+            if (note === null) return;
+            await this.add('note', start, end, { note: note.trim() });
+        } else if (type === 'bookmark') {
+            const name = prompt('Bookmark name', this._chapterAt(start)?.title || '');
+            if (name === null) return;
+            await this.addBookmark(start, name.trim());
+        } else {
+            await this.add('highlight', start, end);
+        }
+        window.getSelection()?.removeAllRanges();
+        this._hideToolbar();
+    }
+
+    _onSelection() {
+        const container = document.getElementById('normal-reader');
+        const selection = window.getSelection();
+        if (!container || !selection || selection.isCollapsed || selection.rangeCount === 0) {
+            this._hideToolbar();
+            return;
+        }
+
+        const range = selection.getRangeAt(0);
+        if (!container.contains(range.commonAncestorContainer)) {
+            this._hideToolbar();
+            return;
+        }
+
+        const words = this._wordsInRange(container, range);
+        if (!words) {
+            this._hideToolbar();
+            return;
+        }
+        this._selection = words;
+
+        const toolbar = document.getElementById('annotation-toolbar');
+        const rect = range.getBoundingClientRect();
+        toolbar.hidden = false;
+        toolbar.style.top = `${Math.max(8, rect.top - toolbar.offsetHeight - 8)}px`;
+        toolbar.style.left = `${Math.max(8, rect.left + rect.width / 2 - toolbar.offsetWidth / 2)}px`;
+    }
+
+    _hideToolbar() {
+        this._selection = null;
+        const toolbar = document.getElementById('annotation-toolbar');
+        if (toolbar) toolbar.hidden = true;
+    }
+
+    /**
+     * First and last word touched by a DOM range. Only the blocks between
+     * the range's ends are searched, so long books stay fast.
+     */
+    _wordsInRange(container, range) {
+        const blockOf = (node) => {
+            let el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            while (el && el.parentElement !== container) el = el.parentElement;
+            return el;
+        };
+        const first = blockOf(range.startContainer);
+        const last = blockOf(range.endContainer);
+        if (!first || !last) return null;
+
+        let start = -1;
+        let end = -1;
+        for (let block = first; block; block = block.nextElementSibling) {
+            for (const span of block.querySelectorAll('.word')) {
+                if (!range.intersectsNode(span)) continue;
+                const index = parseInt(span.dataset.wordIdx);
+                if (start < 0) start = index;
+                end = index;
+            }
+            if (block === last) break;
+        }
+        return start < 0 ? null : { start, end };
+    }
+
+    // --- Helpers ---
+
+    /**
+     * Move an annotation onto its words in the current parse. A moved
+     * annotation is stored as is: this repairs positions on this device
+     * and is not an edit to sync.
+     */
+    async _reanchor(annotation) {
+        const doc = reader.parsedDoc;
+        const start = positionAnchor.resolve(doc, annotation.anchor, annotation.start);
+        let end = positionAnchor.resolve(doc, annotation.endAnchor, annotation.end);
+        if (end < start) end = Math.min(start + (annotation.end - annotation.start), doc.words.length - 1);
+        if (start === annotation.start && end === annotation.end) return annotation;
+
+        const moved = { ...annotation, start, end };
+        await db.putAnnotation(moved);
+        return moved;
+    }
+
+    _textOf(start, end) {
+        const words = reader.parsedDoc?.words || [];
+        return words.slice(start, end + 1).map(t => t.text).join(' ');
+    }
+
+    _chapterAt(index) {
+        return FileParser.chapterAt(reader.parsedDoc?.chapters || [], index);
+    }
+
+    /**
+     * Escape text for HTML content and quoted attribute values
+     */
+    _escapeHtml(str) {
+        const div = document.createElement('div');
+        div.textContent = str;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    _truncate(text) {
+        return text.length > ANNOTATION_QUOTE_CHARS
+            ? text.slice(0, ANNOTATION_QUOTE_CHARS - 1) + '…'
+            : text;
+    }
+}
+
+// Export singleton
+const annotations = new Annotations();
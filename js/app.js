@@ -14,7 +14,12 @@ class App {
     async init() {
         try {
             // Initialize database
-            await db.init();
+            await db.init({
+                confirmWithoutBackup: (err) => confirm(
+                    `Your library could not be backed up before this update (${err.message}).\n\n` +
+                    'Upgrade it anyway? Choose Cancel to keep it as it is and try again later.',
+                ),
+            });
 
             // Load settings
             await settings.load();
@@ -25,6 +30,9 @@ class App {
             // Bind settings panel events
             settings.bindEvents();
 
+            // Bind annotation toolbar and panel events
+            annotations.bindEvents();
+
             // Set up library callbacks
             library.onFileOpen = (fileId) => reader.open(fileId);
 
@@ -35,13 +43,26 @@ class App {
             this._handleHashChange();
             window.addEventListener('hashchange', () => this._handleHashChange());
 
+            // Pick up reading done on other devices
+            library.sync(true);
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'visible' && this.currentView === 'library') {
+                    library.sync(true);
+                }
+            });
+
             // Register service worker
             this._registerServiceWorker();
 
             console.log('SnapRead initialized');
         } catch (err) {
             console.error('Failed to initialize SnapRead:', err);
-            this.showToast('Failed to initialize app: ' + err.message, 'error');
+            if (err instanceof MigrationError) {
+                // Toasts fade too quickly for something this important
+                alert(err.message);
+            } else {
+                this.showToast('Failed to initialize app: ' + err.message, 'error');
+            }
         }
     }
 
@@ -96,6 +117,24 @@ class App {
             library.handleFileUpload(e.target);
         });
 
+        // Library backup
+        document.getElementById('btn-export-library')?.addEventListener('click', () => {
+            library.exportBackup();
+        });
+
+        const backupInput = document.getElementById('backup-input');
+        document.getElementById('btn-merge-library')?.addEventListener('click', () => {
+            backupInput.dataset.mode = 'merge';
+            backupInput.click();
+        });
+        document.getElementById('btn-replace-library')?.addEventListener('click', () => {
+            backupInput.dataset.mode = 'replace';
+            backupInput.click();
+        });
+        backupInput?.addEventListener('change', (e) => {
+            library.restoreBackup(e.target, e.target.dataset.mode);
+        });
+
         // Back button
         document.getElementById('btn-back')?.addEventListener('click', () => {
             reader.close();
@@ -122,6 +161,20 @@ class App {
             });
         });
 
+        // Table of contents
+        document.getElementById('btn-toc')?.addEventListener('click', () => {
+            reader.toggleToc();
+        });
+
+        document.getElementById('toc-close')?.addEventListener('click', () => {
+            reader.toggleToc(false);
+        });
+
+        // Parse progress
+        document.getElementById('parse-progress-cancel')?.addEventListener('click', () => {
+            parseService.cancel();
+        });
+
         // RSVP controls
         document.getElementById('btn-play')?.addEventListener('click', () => {
             rsvpEngine.togglePlay();
@@ -153,6 +206,32 @@ class App {
         });
     }
 
+    /**
+     * Show the parse progress bar
+     * @param {string} label
+     * @param {Object} [progress] - { current, total, unit }; omitted for an
+     *   indeterminate bar
+     */
+    showProgress(label, progress = null) {
+        const panel = document.getElementById('parse-progress');
+        if (!panel) return;
+
+        const determinate = progress && progress.total > 0;
+        panel.hidden = false;
+        panel.classList.toggle('indeterminate', !determinate);
+        document.getElementById('parse-progress-label').textContent = determinate
+            ? `${label} — ${progress.unit} ${progress.current} of ${progress.total}`
+            : `${label}…`;
+        document.getElementById('parse-progress-fill').style.width = determinate
+            ? `${Math.round((progress.current / progress.total) * 100)}%`
+            : '';
+    }
+
+    hideProgress() {
+        const panel = document.getElementById('parse-progress');
+        if (panel) panel.hidden = true;
+    }
+
     /**
      * Show a toast notification
      */
@@ -174,6 +253,27 @@ class App {
         }, 3000);
     }
 
+    /**
+     * Offer a blob as a file download
+     */
+    download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * A file name that is safe on every platform and inside a zip
+     */
+    safeFileName(name) {
+        return (name || 'file').replace(/[\\/:*?"<>|\x00-\x1f]+/g, '_').slice(0, 100);
+    }
+
     /**
      * Register service worker for PWA
      */
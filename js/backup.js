@@ -0,0 +1,220 @@
+/* ============================================
+   SnapRead — Library Backup & Restore
+   Files, bookmarks, annotations and settings
+   in one zip with a JSON manifest
+   ============================================ */
+
+// Manifest format written by exportLibrary; bump when the layout changes
+const BACKUP_FORMAT = 'snapread-backup';
+const BACKUP_VERSION = 1;
+
+class LibraryBackup {
+    /**
+     * Build a zip of the whole library and offer it as a download
+     */
+    async exportLibrary() {
+        const [files, bookmarks, annotationList, allSettings] = await Promise.all([
+            db.getAllFiles(),
+            db.getAllBookmarks(),
+            db.getAllAnnotations(),
+            db.getAllSettings(),
+        ]);
+
+        // Device settings (see LOCAL_ONLY_SETTINGS) stay out of the backup
+        const settingsMap = Object.fromEntries(Object.entries(allSettings)
+            .filter(([key]) => !LOCAL_ONLY_SETTINGS.includes(key)));
+
+        const zip = new JSZip();
+        const manifest = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            files: [],
+            bookmarks,
+            annotations: annotationList.filter(a => !a.deleted),
+            settings: settingsMap,
+        };
+
+        for (const file of files) {
+            const { blob, ...meta } = file;
+            const path = `files/${file.id}-${app.safeFileName(file.name)}`;
+            zip.file(path, blob);
+            manifest.files.push({ ...meta, path, sha256: await contentHash.sha256(blob) });
+        }
+        zip.file('manifest.json', JSON.stringify(manifest, null, 2));
+
+        const archive = await zip.generateAsync({ type: 'blob' });
+        const date = new Date().toISOString().slice(0, 10);
+        app.download(archive, `snapread-backup-${date}.zip`);
+        return { files: files.length, bookmarks: bookmarks.length };
+    }
+
+    /**
+     * Restore a backup zip
+     * @param {Blob} archive
+     * @param {'merge'|'replace'} mode - merge keeps the current library and
+     *   skips books it already has; replace swaps it for the backup's contents
+     * @returns {Promise<{ added: number, duplicates: number, bookmarks: number }>}
+     */
+    async importLibrary(archive, mode = 'merge') {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(archive);
+        } catch (_) {
+            throw new Error('This file is not a valid zip archive');
+        }
+
+        const manifest = await this._readManifest(zip);
+
+        // Read every book before touching the database, so a broken
+        // archive can't leave a half-restored library behind
+        const entries = [];
+        for (const meta of manifest.files) {
+            const entry = zip.file(meta.path);
+            if (!entry) throw new Error(`The backup is missing ${meta.path}`);
+            const blob = await entry.async('blob');
+            entries.push({ meta, blob, hash: meta.sha256 || await contentHash.sha256(blob) });
+        }
+
+        const currentSettings = await db.getAllSettings();
+        if (mode === 'replace') {
+            return this._replaceLibrary(manifest, entries, currentSettings);
+        }
+
+        // Duplicates are books whose content is already in the library
+        const existing = new Map();
+        for (const file of await db.getAllFiles()) {
+            existing.set(file.contentHash || await contentHash.sha256(file.blob), file.id);
+        }
+
+        const idMap = new Map(); // backup file id -> library file id
+        let added = 0;
+        let duplicates = 0;
+        for (const { meta, blob, hash } of entries) {
+            if (existing.has(hash)) {
+                idMap.set(meta.id, existing.get(hash));
+                duplicates++;
+                continue;
+            }
+            const { id, path, sha256, ...record } = meta;
+            const newId = await db.addFile({ ...record, blob, contentHash: hash });
+            existing.set(hash, newId);
+            idMap.set(id, newId);
+            added++;
+        }
+
+        // Bookmarks follow their books; the more recently read one wins
+        let bookmarks = 0;
+        for (const bookmark of manifest.bookmarks) {
+            const fileId = idMap.get(bookmark.fileId);
+            if (fileId === undefined) continue;
+            const current = await db.getBookmark(fileId);
+            if (current && current.lastRead >= bookmark.lastRead) continue;
+            await db.putBookmark({ ...bookmark, fileId });
+            bookmarks++;
+        }
+
+        // Annotations follow their books too; ones already here are kept
+        for (const annotation of manifest.annotations) {
+            const fileId = idMap.get(annotation.fileId);
+            if (fileId === undefined) continue;
+            const existingAnnotations = await db.getAnnotations(fileId);
+            if (existingAnnotations.some(a => a.id === annotation.id)) continue;
+            await db.putAnnotation({ ...annotation, fileId });
+        }
+
+        // Settings: merging only adds the ones missing on this device, so
+        // the others keep their change times for sync. Device settings are
+        // never taken from a backup.
+        const restored = {};
+        for (const [key, value] of Object.entries(manifest.settings)) {
+            if (LOCAL_ONLY_SETTINGS.includes(key) || key in currentSettings) continue;
+            restored[key] = value;
+        }
+        if (Object.keys(restored).length > 0) {
+            await db.saveAllSettings(restored);
+        }
+
+        return { added, duplicates, bookmarks };
+    }
+
+    /**
+     * Swap the library for the backup's contents in one database
+     * transaction, so a failed restore keeps the old library
+     */
+    async _replaceLibrary(manifest, entries, currentSettings) {
+        // Books in the backup twice are restored once
+        const keptIds = new Map(); // hash -> backup file id that is restored
+        const idMap = new Map(); // backup file id -> restored backup file id
+        const files = [];
+        for (const { meta, blob, hash } of entries) {
+            if (!keptIds.has(hash)) {
+                const { path, sha256, ...record } = meta;
+                keptIds.set(hash, meta.id);
+                files.push({ ...record, blob, contentHash: hash });
+            }
+            idMap.set(meta.id, keptIds.get(hash));
+        }
+
+        // One bookmark per book: the most recently read
+        const bookmarks = new Map();
+        for (const bookmark of manifest.bookmarks) {
+            const fileId = idMap.get(bookmark.fileId);
+            if (fileId === undefined) continue;
+            const current = bookmarks.get(fileId);
+            if (current && current.lastRead >= bookmark.lastRead) continue;
+            bookmarks.set(fileId, { ...bookmark, fileId });
+        }
+        const annotations = manifest.annotations
+            .filter(a => idMap.has(a.fileId))
+            .map(a => ({ ...a, fileId: idMap.get(a.fileId) }));
+
+        // Device settings are never taken from a backup, and survive
+        const settings = {};
+        for (const [key, value] of Object.entries(manifest.settings)) {
+            if (!LOCAL_ONLY_SETTINGS.includes(key)) settings[key] = value;
+        }
+        for (const key of LOCAL_ONLY_SETTINGS) {
+            if (key in currentSettings) settings[key] = currentSettings[key];
+        }
+
+        await db.replaceLibrary({ files, bookmarks: [...bookmarks.values()], annotations, settings });
+        return { added: files.length, duplicates: entries.length - files.length, bookmarks: bookmarks.size };
+    }
+
+    /**
+     * Parse and validate manifest.json
+     */
+    async _readManifest(zip) {
+        const entry = zip.file('manifest.json');
+        if (!entry) throw new Error('Not a SnapRead backup (manifest.json is missing)');
+
+        let manifest;
+        try {
+            manifest = JSON.parse(await entry.async('string'));
+        } catch (_) {
+            throw new Error('The backup manifest is damaged');
+        }
+
+        if (manifest.format !== BACKUP_FORMAT) {
+            throw new Error('Not a SnapRead backup');
+        }
+        if (!Number.isInteger(manifest.version) || manifest.version < 1) {
+            throw new Error('The backup manifest has no valid version');
+        }
+        if (manifest.version > BACKUP_VERSION) {
+            throw new Error(`This backup was made by a newer version of SnapRead (format ${manifest.version}); update the app to restore it`);
+        }
+        if (!Array.isArray(manifest.files) || !Array.isArray(manifest.bookmarks)) {
+            throw new Error('The backup manifest is incomplete');
+        }
+
+        // Backups from before annotations existed have none
+        manifest.annotations = Array.isArray(manifest.annotations) ? manifest.annotations : [];
+        manifest.settings = manifest.settings || {};
+        return manifest;
+    }
+}
+
+// Export singleton
+const libraryBackup = new LibraryBackup();
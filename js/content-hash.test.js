@@ -0,0 +1,44 @@
+/* ============================================
+   SnapRead — Content Hash Tests
+   Run with: node --test
+   ============================================ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Browser script: run it in its own context and take the singleton. The
+// context has no crypto.subtle, so sha256() takes the pure JS path.
+const context = vm.createContext({ Blob });
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'content-hash.js'), 'utf8'), context);
+const contentHash = vm.runInContext('contentHash', context);
+
+const hex = (digest) => Buffer.from(digest).toString('hex');
+const ascii = (text) => new TextEncoder().encode(text);
+
+test('matches the FIPS 180-4 examples', () => {
+    assert.equal(hex(contentHash._sha256(ascii(''))),
+        'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    assert.equal(hex(contentHash._sha256(ascii('abc'))),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.equal(hex(contentHash._sha256(ascii('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))),
+        '248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+});
+
+test('matches Node for every padding length', () => {
+    // Lengths around one and two 64-byte blocks cover each padding case
+    for (let length = 0; length <= 130; length++) {
+        const bytes = Uint8Array.from({ length }, (_, i) => (i * 31 + 7) & 0xFF);
+        const expected = crypto.createHash('sha256').update(bytes).digest('hex');
+        assert.equal(hex(contentHash._sha256(bytes)), expected, `length ${length}`);
+    }
+});
+
+test('sha256 hashes Blobs and ArrayBuffers without Web Crypto', async () => {
+    const expected = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+    assert.equal(await contentHash.sha256(new Blob(['abc'])), expected);
+    assert.equal(await contentHash.sha256(ascii('abc').buffer), expected);
+});
@@ -3,66 +3,342 @@
    ============================================ */
 
 const DB_NAME = 'snapread';
-const DB_VERSION = 1;
+const BACKUP_DB_NAME = 'snapread-backup';
+
+// Settings that belong to this device: its sync account and how it sorts
+// the library. They are never synced, backed up or restored.
+const LOCAL_ONLY_SETTINGS = ['syncServer', 'syncKey', 'librarySort'];
+
+// Caches rebuilt from the files on demand, left out of pre-upgrade backups
+const CACHE_STORES = ['parsed'];
+
+/**
+ * Schema migrations, applied in order inside the upgrade transaction.
+ * `upgrade(db, tx)` creates stores and indexes; `transforms` maps a store
+ * name to a function that rewrites each existing record (return null to
+ * delete it). Released steps must never change: add a new step instead.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create files, bookmarks and settings stores',
+        upgrade(db) {
+            // Files store — holds uploaded file blobs + metadata
+            const fileStore = db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
+            fileStore.createIndex('name', 'name', { unique: false });
+            fileStore.createIndex('addedDate', 'addedDate', { unique: false });
+
+            // Bookmarks store — reading position per file
+            db.createObjectStore('bookmarks', { keyPath: 'fileId' });
+
+            // Settings store — user preferences
+            db.createObjectStore('settings', { keyPath: 'key' });
+        },
+    },
+    {
+        version: 2,
+        description: 'Add the parsed-document cache',
+        upgrade(db) {
+            // Parsed store — cached parser output per file
+            db.createObjectStore('parsed', { keyPath: 'fileId' });
+        },
+    },
+    {
+        version: 3,
+        description: 'Fill in per-file options missing from older records',
+        transforms: {
+            files: (record) => ({ language: null, encoding: null, recovered: false, ...record }),
+        },
+    },
+    {
+        version: 4,
+        description: 'Add the sync state store',
+        upgrade(db) {
+            // Sync store — how far this device has synced, per sync account
+            db.createObjectStore('sync', { keyPath: 'account' });
+        },
+    },
+    {
+        version: 5,
+        description: 'Add the annotations store',
+        upgrade(db) {
+            // Annotations store — highlights, notes and named bookmarks
+            const annotationStore = db.createObjectStore('annotations', { keyPath: 'id' });
+            annotationStore.createIndex('fileId', 'fileId', { unique: false });
+        },
+    },
+];
+
+const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Thrown when the database can't be upgraded, or the upgrade was declined
+ * after a failed backup. Either way the database is left untouched at
+ * `fromVersion`.
+ */
+class MigrationError extends Error {
+    constructor(message, { fromVersion, toVersion, step = null, cause = null } = {}) {
+        super(message);
+        this.name = 'MigrationError';
+        this.fromVersion = fromVersion;
+        this.toVersion = toVersion;
+        this.step = step;
+        this.cause = cause;
+    }
+}
 
 class SnapReadDB {
     constructor() {
         this.db = null;
     }
 
-    async init() {
+    /**
+     * Open the database, upgrading it if needed
+     * @param {Object} [options]
+     * @param {Function} [options.confirmWithoutBackup] - called with the
+     *   error when the pre-upgrade backup fails; the upgrade goes ahead only
+     *   if it returns (or resolves to) true
+     * @throws {MigrationError} when the upgrade fails or is declined
+     */
+    async init({ confirmWithoutBackup } = {}) {
+        // Back up the library before any upgrade touches it. A failed backup
+        // (usually a full disk) leaves the database at its old version
+        // unless the user agrees to upgrade without one.
+        const currentVersion = await this._currentVersion();
+        if (currentVersion > 0 && currentVersion < DB_VERSION) {
+            try {
+                await this._backupBeforeMigration(currentVersion);
+            } catch (err) {
+                console.warn('Pre-upgrade backup failed:', err);
+                if (!confirmWithoutBackup || !(await confirmWithoutBackup(err))) {
+                    throw new MigrationError(
+                        `Your library could not be backed up before upgrading to version ${DB_VERSION}: ${err.message}. ` +
+                        `It was left unchanged at version ${currentVersion}.`,
+                        { fromVersion: currentVersion, toVersion: DB_VERSION, cause: err },
+                    );
+                }
+            }
+        }
+
+        this.db = await this._openAndMigrate(currentVersion);
+
+        // Let a newer version of the app in another tab upgrade the database
+        this.db.onversionchange = () => {
+            this.db.close();
+        };
+        return this.db;
+    }
+
+    /**
+     * Version of the existing database, or 0 if there is none yet
+     */
+    _currentVersion() {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(DB_NAME);
+            let created = false;
 
+            // No database yet: abort so an empty one isn't left behind
             request.onupgradeneeded = (e) => {
+                created = true;
+                e.target.transaction.abort();
+            };
+            request.onsuccess = (e) => {
                 const db = e.target.result;
-
-                // Files store — holds uploaded file blobs + metadata
-                if (!db.objectStoreNames.contains('files')) {
-                    const fileStore = db.createObjectStore('files', { keyPath: 'id', autoIncrement: true });
-                    fileStore.createIndex('name', 'name', { unique: false });
-                    fileStore.createIndex('addedDate', 'addedDate', { unique: false });
+                const version = db.version;
+                db.close();
+                resolve(version);
+            };
+            request.onerror = (e) => {
+                if (created) {
+                    e.preventDefault();
+                    resolve(0);
+                } else {
+                    reject(new Error('Failed to open database: ' + e.target.error));
                 }
+            };
+        });
+    }
 
-                // Bookmarks store — reading position per file
-                if (!db.objectStoreNames.contains('bookmarks')) {
-                    db.createObjectStore('bookmarks', { keyPath: 'fileId' });
-                }
+    _openAndMigrate(fromVersion) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            let failure = null;
 
-                // Settings store — user preferences
-                if (!db.objectStoreNames.contains('settings')) {
-                    db.createObjectStore('settings', { keyPath: 'key' });
-                }
+            request.onupgradeneeded = (e) => {
+                const db = e.target.result;
+                const tx = e.target.transaction;
+                const steps = MIGRATIONS.filter(m => m.version > e.oldVersion);
+
+                // Steps run one after another; record transforms are async
+                // cursor walks, so each step waits for the previous one
+                const runStep = (index) => {
+                    if (index >= steps.length) return;
+                    const step = steps[index];
+                    try {
+                        if (step.upgrade) step.upgrade(db, tx);
+                        this._runTransforms(tx, step, () => runStep(index + 1), (err) => fail(step, err));
+                    } catch (err) {
+                        fail(step, err);
+                    }
+                };
+                const fail = (step, err) => {
+                    failure = new MigrationError(
+                        `Database upgrade to version ${step.version} (${step.description}) failed: ${err?.message || err}. ` +
+                        `Your library was left unchanged at version ${e.oldVersion}.`,
+                        { fromVersion: e.oldVersion, toVersion: DB_VERSION, step: step.version, cause: err },
+                    );
+                    console.error(failure);
+                    try {
+                        tx.abort();
+                    } catch (_) { /* already aborted */ }
+                };
+
+                runStep(0);
             };
 
             request.onsuccess = (e) => {
-                this.db = e.target.result;
-                resolve(this.db);
+                resolve(e.target.result);
+            };
+
+            request.onblocked = () => {
+                console.warn('Database upgrade is waiting for other SnapRead tabs to close');
             };
 
             request.onerror = (e) => {
-                reject(new Error('Failed to open database: ' + e.target.error));
+                e.preventDefault();
+                reject(failure || new MigrationError(
+                    `Failed to open database: ${e.target.error}`,
+                    { fromVersion, toVersion: DB_VERSION, cause: e.target.error },
+                ));
             };
         });
     }
 
+    /**
+     * Rewrite the records of every store a step transforms, then call `done`
+     */
+    _runTransforms(tx, step, done, fail) {
+        const stores = Object.entries(step.transforms || {});
+        const next = (index) => {
+            if (index >= stores.length) {
+                done();
+                return;
+            }
+            const [storeName, transform] = stores[index];
+            const request = tx.objectStore(storeName).openCursor();
+            request.onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) {
+                    next(index + 1);
+                    return;
+                }
+                try {
+                    const updated = transform(cursor.value);
+                    if (updated === null) cursor.delete();
+                    else cursor.update(updated);
+                    cursor.continue();
+                } catch (err) {
+                    fail(err);
+                }
+            };
+            request.onerror = (e) => fail(e.target.error);
+        };
+        next(0);
+    }
+
+    /**
+     * Copy every store of the current database, except caches, into a
+     * separate backup database before migrating it. Only the latest backup
+     * is kept.
+     */
+    async _backupBeforeMigration(version) {
+        const source = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, version);
+            request.onsuccess = (e) => resolve(e.target.result);
+            request.onerror = (e) => reject(new Error('Failed to open database for backup: ' + e.target.error));
+        });
+
+        const stores = {};
+        try {
+            for (const name of Array.from(source.objectStoreNames).filter(n => !CACHE_STORES.includes(n))) {
+                stores[name] = await new Promise((resolve, reject) => {
+                    const request = source.transaction(name, 'readonly').objectStore(name).getAll();
+                    request.onsuccess = () => resolve(request.result);
+                    request.onerror = (e) => reject(e.target.error);
+                });
+            }
+        } finally {
+            source.close();
+        }
+
+        const backupDb = await this._openBackupDb();
+        try {
+            await new Promise((resolve, reject) => {
+                const tx = backupDb.transaction('backups', 'readwrite');
+                tx.objectStore('backups').put({ id: 'latest', version, date: Date.now(), stores });
+                tx.oncomplete = () => resolve();
+                tx.onerror = (e) => reject(new Error('Failed to write pre-upgrade backup: ' + e.target.error));
+                // A full disk aborts the transaction without an error event
+                tx.onabort = () => reject(new Error('Failed to write pre-upgrade backup: ' + tx.error));
+            });
+        } finally {
+            backupDb.close();
+        }
+    }
+
+    /**
+     * The backup taken before the last schema upgrade, as
+     * { version, date, stores: { storeName: records[] } }, or null
+     */
+    async getMigrationBackup() {
+        const backupDb = await this._openBackupDb();
+        try {
+            return await new Promise((resolve, reject) => {
+                const request = backupDb.transaction('backups', 'readonly').objectStore('backups').get('latest');
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = (e) => reject(e.target.error);
+            });
+        } finally {
+            backupDb.close();
+        }
+    }
+
+    _openBackupDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(BACKUP_DB_NAME, 1);
+            request.onupgradeneeded = (e) => {
+                e.target.result.createObjectStore('backups', { keyPath: 'id' });
+            };
+            request.onsuccess = (e) => resolve(e.target.result);
+            request.onerror = (e) => reject(new Error('Failed to open backup database: ' + e.target.error));
+        });
+    }
+
     // --- FILES ---
 
     async addFile(fileData) {
         return this._transaction('files', 'readwrite', (store) => {
-            return store.add({
-                name: fileData.name,
-                type: fileData.type,
-                blob: fileData.blob,
-                title: fileData.title || fileData.name,
-                author: fileData.author || '',
-                addedDate: Date.now(),
-                wordCount: fileData.wordCount || 0,
-                fileSize: fileData.fileSize || 0,
-            });
+            return store.add(this._fileRecord(fileData));
         });
     }
 
+    _fileRecord(fileData) {
+        return {
+            name: fileData.name,
+            type: fileData.type,
+            blob: fileData.blob,
+            title: fileData.title || fileData.name,
+            author: fileData.author || '',
+            addedDate: fileData.addedDate || Date.now(),
+            wordCount: fileData.wordCount || 0,
+            fileSize: fileData.fileSize || 0,
+            recovered: fileData.recovered || false,
+            encoding: fileData.encoding || null,
+            language: fileData.language || null,
+            contentHash: fileData.contentHash || null,
+        };
+    }
+
     async getFile(id) {
         return this._transaction('files', 'readonly', (store) => {
             return store.get(id);
@@ -75,12 +351,51 @@ class SnapReadDB {
         });
     }
 
+    async updateFile(id, changes) {
+        const record = await this.getFile(id);
+        if (!record) return;
+        return this._transaction('files', 'readwrite', (store) => {
+            return store.put({ ...record, ...changes });
+        });
+    }
+
     async deleteFile(id) {
-        // Delete file and its bookmark
+        // Delete file, its bookmark, annotations and cached parse
         await this._transaction('files', 'readwrite', (store) => {
             return store.delete(id);
         });
         await this.deleteBookmark(id);
+        await this.deleteAnnotationsForFile(id);
+        await this.deleteParsed(id);
+    }
+
+    // --- PARSED DOCUMENTS ---
+
+    async saveParsed(fileId, doc, parserVersion) {
+        return this._transaction('parsed', 'readwrite', (store) => {
+            return store.put({
+                fileId,
+                parserVersion,
+                doc,
+                savedDate: Date.now(),
+            });
+        });
+    }
+
+    /**
+     * Cached parse for a file, or null if there is none for this parser version
+     */
+    async getParsed(fileId, parserVersion) {
+        const record = await this._transaction('parsed', 'readonly', (store) => {
+            return store.get(fileId);
+        });
+        return record && record.parserVersion === parserVersion ? record.doc : null;
+    }
+
+    async deleteParsed(fileId) {
+        return this._transaction('parsed', 'readwrite', (store) => {
+            return store.delete(fileId);
+        });
     }
 
     // --- BOOKMARKS ---
@@ -93,6 +408,7 @@ class SnapReadDB {
                 chapter: bookmarkData.chapter || 0,
                 lastRead: Date.now(),
                 totalWords: bookmarkData.totalWords,
+                anchor: bookmarkData.anchor || null,
                 progress: bookmarkData.totalWords > 0
                     ? Math.round((bookmarkData.wordIndex / bookmarkData.totalWords) * 100)
                     : 0,
@@ -100,6 +416,15 @@ class SnapReadDB {
         });
     }
 
+    /**
+     * Store a bookmark record as is (used when restoring a backup)
+     */
+    async putBookmark(bookmark) {
+        return this._transaction('bookmarks', 'readwrite', (store) => {
+            return store.put(bookmark);
+        });
+    }
+
     async getBookmark(fileId) {
         return this._transaction('bookmarks', 'readonly', (store) => {
             return store.get(fileId);
@@ -118,11 +443,94 @@ class SnapReadDB {
         });
     }
 
+    // --- ANNOTATIONS ---
+
+    /**
+     * Store a new highlight, note or named bookmark
+     * @param {Object} annotation - { fileId, type: 'highlight'|'note'|'bookmark',
+     *   start, end, text, anchor, endAnchor, note?, name? }; `start`..`end`
+     *   are word indexes, inclusive, and the anchors describe them by content
+     * @returns {Promise<Object>} The stored record
+     */
+    async addAnnotation(annotation) {
+        const now = Date.now();
+        const record = {
+            id: this._newId(),
+            note: '',
+            name: '',
+            createdAt: now,
+            ...annotation,
+            updatedAt: now,
+            deleted: false,
+        };
+        await this.putAnnotation(record);
+        return record;
+    }
+
+    async updateAnnotation(id, changes) {
+        const record = await this._transaction('annotations', 'readonly', (store) => {
+            return store.get(id);
+        });
+        if (!record) return null;
+        const updated = { ...record, ...changes, updatedAt: Date.now() };
+        await this.putAnnotation(updated);
+        return updated;
+    }
+
+    /**
+     * Deleted annotations stay behind as tombstones so the deletion syncs
+     */
+    async deleteAnnotation(id) {
+        return this.updateAnnotation(id, { deleted: true });
+    }
+
+    /**
+     * Store an annotation record as is (used by sync and backup restore)
+     */
+    async putAnnotation(record) {
+        return this._transaction('annotations', 'readwrite', (store) => {
+            return store.put(record);
+        });
+    }
+
+    /**
+     * Live annotations of a file, by position
+     */
+    async getAnnotations(fileId) {
+        const records = await this._transaction('annotations', 'readonly', (store) => {
+            return store.index('fileId').getAll(fileId);
+        });
+        return records
+            .filter(a => !a.deleted)
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+    }
+
+    /**
+     * Every annotation, tombstones included
+     */
+    async getAllAnnotations() {
+        return this._transaction('annotations', 'readonly', (store) => {
+            return store.getAll();
+        });
+    }
+
+    async deleteAnnotationsForFile(fileId) {
+        return this._transaction('annotations', 'readwrite', (store) => {
+            const request = store.index('fileId').openKeyCursor(fileId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+
     // --- SETTINGS ---
 
     async saveSetting(key, value) {
         return this._transaction('settings', 'readwrite', (store) => {
-            return store.put({ key, value });
+            return store.put({ key, value, updatedAt: Date.now() });
         });
     }
 
@@ -145,8 +553,9 @@ class SnapReadDB {
     async saveAllSettings(settingsObj) {
         const tx = this.db.transaction('settings', 'readwrite');
         const store = tx.objectStore('settings');
+        const updatedAt = Date.now();
         for (const [key, value] of Object.entries(settingsObj)) {
-            store.put({ key, value });
+            store.put({ key, value, updatedAt });
         }
         return new Promise((resolve, reject) => {
             tx.oncomplete = () => resolve();
@@ -154,8 +563,229 @@ class SnapReadDB {
         });
     }
 
+    // --- LIBRARY ---
+
+    /**
+     * Replace every file, bookmark, annotation and setting in one
+     * transaction, so a failure leaves the old library untouched. Cached
+     * parses and how far the library had synced are dropped with it.
+     * @param {Object} library
+     * @param {Object[]} library.files - as for addFile, plus the `id` their
+     *   bookmarks and annotations refer to
+     * @param {Object[]} library.bookmarks - stored as is, with fileId mapped
+     * @param {Object[]} library.annotations - stored as is, with fileId mapped
+     * @param {Object} library.settings - key → value
+     */
+    async replaceLibrary({ files, bookmarks, annotations, settings }) {
+        const stores = ['files', 'bookmarks', 'settings', 'parsed', 'annotations', 'sync'];
+        const tx = this.db.transaction(stores, 'readwrite');
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = (e) => reject(e.target.error);
+            // A full disk aborts the transaction without an error event
+            tx.onabort = () => reject(tx.error || new Error('Restoring the library was aborted'));
+        });
+
+        try {
+            for (const name of stores) {
+                tx.objectStore(name).clear();
+            }
+
+            // Bookmarks and annotations go in once their file has its new id
+            for (const file of files) {
+                const request = tx.objectStore('files').add(this._fileRecord(file));
+                request.onsuccess = () => {
+                    const fileId = request.result;
+                    for (const bookmark of bookmarks.filter(b => b.fileId === file.id)) {
+                        tx.objectStore('bookmarks').put({ ...bookmark, fileId });
+                    }
+                    for (const annotation of annotations.filter(a => a.fileId === file.id)) {
+                        tx.objectStore('annotations').put({ ...annotation, fileId });
+                    }
+                };
+            }
+
+            const updatedAt = Date.now();
+            for (const [key, value] of Object.entries(settings)) {
+                tx.objectStore('settings').put({ key, value, updatedAt });
+            }
+        } catch (err) {
+            // Requests already made would otherwise commit
+            done.catch(() => {});
+            tx.abort();
+            throw err;
+        }
+        return done;
+    }
+
+    // --- SYNC ---
+
+    /**
+     * Push local reading progress, settings and annotations to the sync
+     * server, then pull what other devices pushed. The server keeps the
+     * most recent change, or the furthest position when two devices read
+     * the same book independently. Books are matched across devices by a
+     * hash of their content, since file ids are local to each device.
+     * @param {{ server: string, key: string }} account - server '' is this origin
+     * @returns {Promise<{ pushed: number, pulled: number }>}
+     */
+    async sync(account) {
+        const startedAt = Date.now();
+        const accountId = `${account.server}\n${account.key}`;
+        const state = await this._transaction('sync', 'readonly', (store) => store.get(accountId))
+            || { account: accountId, revision: 0, syncedAt: 0, books: [] };
+        const books = await this._bookKeys();
+
+        const pushed = await this.pushChanges(account, state, books);
+
+        // A book new to this sync account may have progress from before
+        // this device had it, so pull everything again
+        const hasNewBook = [...books.values()].some(hash => !state.books.includes(hash));
+        const since = hasNewBook ? 0 : state.revision;
+        const { revision, pulled } = await this.pullChanges(account, since, books, startedAt);
+
+        await this._transaction('sync', 'readwrite', (store) => store.put({
+            account: accountId,
+            revision,
+            syncedAt: startedAt,
+            books: [...new Set([...state.books, ...books.values()])],
+        }));
+        return { pushed, pulled };
+    }
+
+    /**
+     * Send bookmarks, settings and annotations changed since the last sync
+     * @param {Object} state - sync state: { revision, syncedAt }
+     * @param {Map<number, string>} books - file id -> content hash
+     * @returns {Promise<number>} Number of records sent
+     */
+    async pushChanges(account, state, books) {
+        const changed = (updatedAt) => state.syncedAt === 0 || (updatedAt || 0) > state.syncedAt;
+        const changes = { progress: [], settings: [], annotations: [] };
+
+        for (const bookmark of await this.getAllBookmarks()) {
+            const key = books.get(bookmark.fileId);
+            if (!key || !changed(bookmark.lastRead)) continue;
+            const { fileId, ...value } = bookmark;
+            changes.progress.push({ key, updatedAt: bookmark.lastRead, value });
+        }
+
+        const settingRecords = await this._transaction('settings', 'readonly', (store) => store.getAll());
+        for (const { key, value, updatedAt } of settingRecords) {
+            if (LOCAL_ONLY_SETTINGS.includes(key) || !changed(updatedAt)) continue;
+            changes.settings.push({ key, updatedAt: updatedAt || 0, value });
+        }
+
+        for (const annotation of await this.getAllAnnotations()) {
+            const book = books.get(annotation.fileId);
+            if (!book || !changed(annotation.updatedAt)) continue;
+            const { fileId, deleted, ...value } = annotation;
+            changes.annotations.push({ key: annotation.id, updatedAt: annotation.updatedAt, deleted, value: { ...value, book } });
+        }
+
+        const count = changes.progress.length + changes.settings.length + changes.annotations.length;
+        if (count > 0) {
+            await this._syncRequest(account, 'POST', '', { since: state.revision, changes });
+        }
+        return count;
+    }
+
+    /**
+     * Apply changes other devices pushed after revision `since`. Records
+     * changed here since `startedAt` are kept; the next sync sends them.
+     * @param {Map<number, string>} books - file id -> content hash
+     * @returns {Promise<{ revision: number, pulled: number }>}
+     */
+    async pullChanges(account, since, books, startedAt) {
+        const { revision, changes } = await this._syncRequest(account, 'GET', `?since=${since}`);
+        const fileIds = new Map(Array.from(books, ([id, hash]) => [hash, id]));
+        let pulled = 0;
+
+        for (const record of changes.progress || []) {
+            // Progress for books that aren't on this device stays on the server
+            const fileId = fileIds.get(record.key);
+            if (fileId === undefined || record.deleted) continue;
+            const current = await this.getBookmark(fileId);
+            if (current && (current.lastRead > startedAt || current.lastRead === record.updatedAt)) continue;
+            await this.putBookmark({ ...record.value, fileId, lastRead: record.updatedAt });
+            pulled++;
+        }
+
+        for (const record of changes.settings || []) {
+            if (LOCAL_ONLY_SETTINGS.includes(record.key) || record.deleted) continue;
+            const current = await this._transaction('settings', 'readonly', (store) => store.get(record.key));
+            if (current && (current.updatedAt > startedAt || current.updatedAt === record.updatedAt)) continue;
+            await this._transaction('settings', 'readwrite', (store) => {
+                return store.put({ key: record.key, value: record.value, updatedAt: record.updatedAt });
+            });
+            pulled++;
+        }
+
+        for (const record of changes.annotations || []) {
+            const fileId = fileIds.get(record.value?.book);
+            if (fileId === undefined) continue;
+            const current = await this._transaction('annotations', 'readonly', (store) => store.get(record.key));
+            if (current && (current.updatedAt > startedAt || current.updatedAt === record.updatedAt)) continue;
+            const { book, ...value } = record.value;
+            await this.putAnnotation({ ...value, id: record.key, fileId, deleted: !!record.deleted, updatedAt: record.updatedAt });
+            pulled++;
+        }
+
+        return { revision, pulled };
+    }
+
+    /**
+     * Content hash of every file, computed once and kept on the file record
+     * @returns {Promise<Map<number, string>>} file id -> hash
+     */
+    async _bookKeys() {
+        const keys = new Map();
+        for (const file of await this.getAllFiles()) {
+            let hash = file.contentHash;
+            if (!hash) {
+                hash = await contentHash.sha256(file.blob);
+                await this.updateFile(file.id, { contentHash: hash });
+            }
+            keys.set(file.id, hash);
+        }
+        return keys;
+    }
+
+    async _syncRequest({ server, key }, method, query, body) {
+        const base = (server || '').replace(/\/+$/, '');
+        let response;
+        try {
+            response = await fetch(`${base}/api/sync${query}`, {
+                method,
+                headers: {
+                    Authorization: `Bearer ${key}`,
+                    ...(body ? { 'Content-Type': 'application/json' } : {}),
+                },
+                body: body ? JSON.stringify(body) : undefined,
+                cache: 'no-store',
+            });
+        } catch (_) {
+            throw new Error(`Can't reach the sync server${base ? ` at ${base}` : ''}`);
+        }
+
+        const data = await response.json().catch(() => null);
+        if (!response.ok || !data) {
+            throw new Error(data?.error || `The sync server answered ${response.status}`);
+        }
+        return data;
+    }
+
     // --- INTERNAL ---
 
+    /**
+     * A random id that is unique across devices; works outside secure
+     * contexts, where crypto.randomUUID is missing
+     */
+    _newId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     _transaction(storeName, mode, callback) {
         return new Promise((resolve, reject) => {
             const tx = this.db.transaction(storeName, mode);
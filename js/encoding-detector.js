@@ -0,0 +1,190 @@
+/* ============================================
+   SnapRead — Character Encoding Detection
+   BOM sniffing and statistical guessing for
+   text files that don't declare a charset
+   ============================================ */
+
+// Bytes inspected when guessing an encoding
+const DETECT_SAMPLE_BYTES = 64 * 1024;
+
+// Legacy encodings tried when a file is not valid UTF-8, most common first.
+// Ties go to the earlier entry.
+const LEGACY_ENCODINGS = [
+    'windows-1252', 'windows-1251', 'koi8-r', 'windows-1250', 'windows-1253',
+    'shift_jis', 'euc-jp', 'gbk', 'big5', 'euc-kr',
+];
+
+// The most frequent characters of each CJK encoding's language. Real text
+// is full of them; bytes decoded with the wrong CJK encoding are not.
+const COMMON_CJK_CHARS = {
+    'shift_jis': 'のにはをたがでてとしいるれかなもこうっ',
+    'euc-jp': 'のにはをたがでてとしいるれかなもこうっ',
+    'gbk': '的一是不了在人有我他这个们中来上大为和国',
+    'big5': '的一是不了在人有我他這個們中來上大為和國',
+    'euc-kr': '이다는의에하고을가지기로한서어자들리사나',
+};
+
+// Punctuation and symbols that are common in real text outside ASCII
+const COMMON_SYMBOLS_RE = /[\u00A0«»°©®·–—‘’“”„•…€\u3000-\u303F\uFF01-\uFF20]/u;
+
+class EncodingDetector {
+    /**
+     * Guess the encoding of a byte buffer
+     * @param {ArrayBuffer|Uint8Array} buffer
+     * @returns {{ encoding: string, confidence: number, bom: number }}
+     *   `bom` is the length of the byte order mark to skip
+     */
+    detect(buffer) {
+        const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', confidence: 1, bom: 3 };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', confidence: 1, bom: 2 };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', confidence: 1, bom: 2 };
+        }
+
+        const sample = this._sample(bytes);
+        const utf16 = this._guessUtf16(sample);
+        if (utf16) return { encoding: utf16, confidence: 0.9, bom: 0 };
+
+        if (!sample.some(b => b >= 0x80)) {
+            return { encoding: 'utf-8', confidence: 1, bom: 0 };
+        }
+        if (this._isValidUtf8(sample)) {
+            return { encoding: 'utf-8', confidence: 0.99, bom: 0 };
+        }
+
+        let best = { encoding: 'windows-1252', confidence: 0, bom: 0 };
+        for (const encoding of LEGACY_ENCODINGS) {
+            const score = this._score(sample, encoding);
+            if (score > best.confidence) best = { encoding, confidence: score, bom: 0 };
+        }
+        return best;
+    }
+
+    /**
+     * Decode a buffer, detecting the encoding unless one is given
+     * @param {ArrayBuffer} buffer
+     * @param {string} [encoding] - TextDecoder label to use instead of detecting
+     * @returns {{ text: string, encoding: string, confidence: number }}
+     */
+    decode(buffer, encoding) {
+        if (encoding) {
+            // TextDecoder drops a BOM matching the encoding by itself
+            return { text: new TextDecoder(encoding).decode(buffer), encoding, confidence: 1 };
+        }
+        const detected = this.detect(buffer);
+        const text = new TextDecoder(detected.encoding, { ignoreBOM: true })
+            .decode(new Uint8Array(buffer).subarray(detected.bom));
+        return { text, encoding: detected.encoding, confidence: detected.confidence };
+    }
+
+    /**
+     * Take the start of the buffer, cut back to a line break so a
+     * multibyte character is never split
+     */
+    _sample(bytes) {
+        if (bytes.length <= DETECT_SAMPLE_BYTES) return bytes;
+        let end = DETECT_SAMPLE_BYTES;
+        while (end > DETECT_SAMPLE_BYTES - 1024 && bytes[end - 1] !== 0x0A) end--;
+        return bytes.subarray(0, end);
+    }
+
+    /**
+     * UTF-16 without a BOM shows up as zero bytes in every other position
+     */
+    _guessUtf16(sample) {
+        let even = 0;
+        let odd = 0;
+        const length = Math.min(sample.length, 4096) & ~1;
+        for (let i = 0; i < length; i += 2) {
+            if (sample[i] === 0) even++;
+            if (sample[i + 1] === 0) odd++;
+        }
+        const pairs = length / 2;
+        if (pairs === 0) return null;
+        // Text never contains NULs, so even the spaces alone give it away
+        if (odd / pairs > 0.05 && even / pairs < 0.01) return 'utf-16le';
+        if (even / pairs > 0.05 && odd / pairs < 0.01) return 'utf-16be';
+        return null;
+    }
+
+    _isValidUtf8(sample) {
+        // Ignore a sequence cut off at the end of the sample
+        let end = sample.length;
+        for (let back = 1; back <= 3 && end - back >= 0; back++) {
+            const b = sample[end - back];
+            if ((b & 0xC0) === 0xC0) {
+                end -= back;
+                break;
+            }
+            if ((b & 0x80) === 0) break;
+        }
+        try {
+            new TextDecoder('utf-8', { fatal: true }).decode(sample.subarray(0, end));
+            return true;
+        } catch (_) {
+            return false;
+        }
+    }
+
+    /**
+     * How plausible the text is when decoded with `encoding`, from 0 to 1.
+     * Every non-ASCII character is judged by what surrounds it: accented
+     * Latin letters sit next to ASCII letters, Cyrillic and CJK text doesn't
+     * mix with them mid-word, and lowercase dominates inside words. CJK
+     * decodings must also produce the language's most common characters.
+     */
+    _score(sample, encoding) {
+        let text;
+        try {
+            text = new TextDecoder(encoding, { fatal: true }).decode(sample);
+        } catch (_) {
+            return 0;
+        }
+
+        const chars = Array.from(text);
+        const common = COMMON_CJK_CHARS[encoding];
+        let total = 0;
+        let score = 0;
+        let commonCount = 0;
+        for (let i = 0; i < chars.length; i++) {
+            const ch = chars[i];
+            if (ch.charCodeAt(0) < 0x80) continue;
+            total++;
+
+            const prev = chars[i - 1] || ' ';
+            const next = chars[i + 1] || ' ';
+            const asciiNeighbour = /[A-Za-z]/.test(prev) || /[A-Za-z]/.test(next);
+            const letterBefore = /\p{L}/u.test(prev);
+
+            if (/\p{Script=Latin}/u.test(ch)) {
+                score += asciiNeighbour ? 1 : -0.5;
+            } else if (/[\p{Script=Cyrillic}\p{Script=Greek}]/u.test(ch)) {
+                if (asciiNeighbour) score -= 1;
+                else if (/\p{Lu}/u.test(ch) && letterBefore) score -= 1;
+                else score += 1;
+            } else if (/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(ch)) {
+                // Halfwidth katakana is what stray single bytes turn into
+                score += /[\uFF61-\uFF9F]/.test(ch) ? -1 : 1;
+                if (common?.includes(ch)) commonCount++;
+            } else if (COMMON_SYMBOLS_RE.test(ch)) {
+                score += 1;
+            } else {
+                score -= 1;
+            }
+        }
+
+        if (total === 0) return 0;
+        let confidence = Math.max(0, score / total);
+        if (common) confidence *= Math.min(1, 0.3 + 3 * commonCount / total);
+        return confidence;
+    }
+}
+
+// Export singleton
+const encodingDetector = new EncodingDetector();
@@ -0,0 +1,55 @@
+/* ============================================
+   SnapRead — Encoding Detector Tests
+   Run with: node --test
+   ============================================ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Browser script: run it in its own context and take the singleton
+const context = vm.createContext({ TextDecoder });
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'encoding-detector.js'), 'utf8'), context);
+const encodingDetector = vm.runInContext('encodingDetector', context);
+
+/**
+ * Text encoded in a single-byte code page (TextEncoder only writes UTF-8)
+ */
+function encodeSingleByte(text, encoding) {
+    const decoder = new TextDecoder(encoding);
+    const bytesByChar = {};
+    for (let b = 0x80; b < 0x100; b++) bytesByChar[decoder.decode(Uint8Array.of(b))] = b;
+    return Uint8Array.from([...text], c => (c.charCodeAt(0) < 0x80 ? c.charCodeAt(0) : bytesByChar[c]));
+}
+
+const detect = (bytes) => ({ ...encodingDetector.detect(bytes) });
+
+test('byte order marks decide the encoding', () => {
+    assert.deepEqual(detect(Uint8Array.of(0xEF, 0xBB, 0xBF, 0x41)), { encoding: 'utf-8', confidence: 1, bom: 3 });
+    assert.deepEqual(detect(Uint8Array.of(0xFF, 0xFE, 0x41, 0x00)), { encoding: 'utf-16le', confidence: 1, bom: 2 });
+    assert.deepEqual(detect(Uint8Array.of(0xFE, 0xFF, 0x00, 0x41)), { encoding: 'utf-16be', confidence: 1, bom: 2 });
+});
+
+test('ASCII and valid UTF-8 are UTF-8', () => {
+    assert.deepEqual(detect(new TextEncoder().encode('plain text')), { encoding: 'utf-8', confidence: 1, bom: 0 });
+    assert.equal(detect(new TextEncoder().encode('Déjà vu, café crème')).encoding, 'utf-8');
+});
+
+test('UTF-16 without a byte order mark is recognised', () => {
+    assert.equal(detect(Buffer.from('Hello world, this is text', 'utf16le')).encoding, 'utf-16le');
+});
+
+test('legacy code pages are told apart by their text', () => {
+    const russian = encodeSingleByte('Привет, как дела? Это тестовый текст на русском языке.', 'windows-1251');
+    assert.equal(detect(russian).encoding, 'windows-1251');
+    const french = encodeSingleByte('Déjà vu, café crème et naïveté à la française.', 'windows-1252');
+    assert.equal(detect(french).encoding, 'windows-1252');
+    const polish = encodeSingleByte('Zażółć gęślą jaźń, to jest polski tekst.', 'windows-1250');
+    assert.equal(detect(polish).encoding, 'windows-1250');
+});
+
+test('accepts an ArrayBuffer', () => {
+    assert.equal(detect(new TextEncoder().encode('naïve').buffer).encoding, 'utf-8');
+});
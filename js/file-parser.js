@@ -1,26 +1,241 @@
 /* ============================================
    SnapRead — File Parsing Engine
-   Unified pipeline: File → Text → Word Array
-   Supports: EPUB, PDF, TXT, MD
+   Unified pipeline: File → Text → Token Stream
+   Supports: EPUB, PDF, DOCX, ODT, HTML, FB2, RTF, MOBI/AZW3, TXT, MD
    ============================================ */
 
-class FileParser {
-    constructor() {
-        this.supportedTypes = ['.epub', '.pdf', '.txt', '.md', '.text', '.markdown'];
+// Version of the parsed-document format. Bump it whenever parser output
+// changes so documents cached in IndexedDB are rebuilt.
+const PARSER_VERSION = 5;
+
+// Block-level tags that end a paragraph in extracted HTML
+const BLOCK_TAGS = new Set([
+    'p', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'blockquote',
+    'section', 'article', 'header', 'footer', 'aside', 'pre', 'tr', 'dd', 'dt', 'figcaption',
+]);
+
+// Tags whose text is rendered with emphasis
+const EMPHASIS_TAGS = new Set(['em', 'i', 'strong', 'b', 'cite', 'dfn']);
+
+// Tags whose content is never read
+const SKIP_TAGS = new Set(['script', 'style', 'head', 'title', 'noscript', 'svg', 'math']);
+
+// A token ending in one of these (optionally followed by closing quotes/brackets)
+// pauses for a clause; sentence ends come from SentenceSegmenter
+const CLAUSE_END_RE = /[,;:—–]["'”’»)\]]*$/;
+
+// Top-level blocks of an XML document tokenized between progress checks
+const BLOCKS_PER_STEP = 50;
+
+// Languages written without spaces between words (need Intl.Segmenter)
+const UNSPACED_LANGUAGES = new Set(['zh', 'ja', 'th', 'lo', 'km', 'my', 'bo']);
+
+// Languages written right-to-left
+const RTL_LANGUAGES = new Set(['ar', 'he', 'fa', 'ur', 'yi', 'ps', 'dv', 'ug', 'ckb', 'sd']);
+
+// Punctuation that opens a phrase and belongs to the following word
+const OPENING_PUNCT_RE = /^[「『（(\[“‘《〈【〔"']+$/;
+
+// Readability-style article extraction: class/id patterns of page chrome
+// that never holds the article, and of containers that usually do
+const UNLIKELY_CANDIDATES_RE = /-ad-|^ad-|\bads?\b|advert|banner|breadcrumb|combx|comment|community|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|tweet/i;
+const MAYBE_CANDIDATE_RE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_CLASS_RE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE_CLASS_RE = /hidden|banner|combx|comment|com-|contact|foot|footer|footnote|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|tool|widget/i;
+
+// Elements dropped before looking for the article
+const ARTICLE_JUNK_SELECTOR = 'script, style, noscript, template, iframe, object, embed, form, button, input, select, textarea, nav, aside, dialog, [hidden], [aria-hidden="true"], [role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"], [role="dialog"]';
+
+// RTF destinations whose text is never part of the document body
+const RTF_SKIP_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'header', 'headerl', 'headerr', 'headerf',
+    'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'fldinst', 'listtable', 'listoverridetable',
+    'revtbl', 'rsidtbl', 'generator', 'themedata', 'colorschememapping', 'datastore', 'latentstyles',
+    'xmlnsdecl', 'pgdsctbl', 'filetbl', 'annotation', 'atnid', 'atnauthor', 'bkmkstart', 'bkmkend',
+]);
+
+// RTF control words that stand for a character
+const RTF_SYMBOLS = {
+    tab: ' ', line: ' ', emdash: '—', endash: '–', emspace: ' ', enspace: ' ', bullet: '•',
+    lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+};
+
+// RTF \fcharset values mapped to Windows code pages
+const FONT_CHARSET_CODEPAGES = {
+    0: 1252, 128: 932, 129: 949, 134: 936, 136: 950, 161: 1253, 162: 1254,
+    163: 1258, 177: 1255, 178: 1256, 186: 1257, 204: 1251, 222: 874, 238: 1250,
+};
+
+// MOBI compression types (PalmDOC header)
+const MOBI_COMPRESSION_NONE = 1;
+const MOBI_COMPRESSION_PALMDOC = 2;
+const MOBI_COMPRESSION_HUFFCDIC = 17480;
+
+// MOBI header value for an index or record that isn't present
+const MOBI_NO_INDEX = 0xFFFFFFFF;
+
+// EPUB encryption algorithms used only to obfuscate embedded fonts (not DRM)
+const FONT_OBFUSCATION_ALGORITHMS = [
+    'http://www.idpf.org/2008/embedding',
+    'http://ns.adobe.com/pdf/enc#RC',
+];
+
+/**
+ * Error thrown by FileParser when a document cannot be read.
+ * `code` is one of 'encrypted', 'drm', 'corrupt', 'empty', 'unsupported'
+ * or 'cancelled';
+ * `details` carries what a caller needs to recover, e.g.
+ * { needsPassword, incorrectPassword } or { skipped, recoverable }.
+ */
+class ParseError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ParseError';
+        this.code = code;
+        this.details = details;
     }
+}
 
+/**
+ * Builds a token stream from runs of text.
+ *
+ * A token is a plain object:
+ *   { text, paragraphEnd, sentenceEnd, clauseEnd, heading, chapterStart, emphasis }
+ * where `heading` is the heading level (0 for body text).
+ *
+ * Runs added back to back without whitespace between them are glued into
+ * the same token, so inline markup never splits a word in two.
+ */
+class TokenBuilder {
     /**
-     * Parse a file and return a structured document object.
-     * @param {File} file - The file from the file input
-     * @returns {Promise<Object>} Parsed document
+     * @param {string} [lang] - BCP 47 language of the text
+     */
+    constructor(lang = '') {
+        this.lang = lang;
+        this.tokens = [];
+        this.anchors = {};
+        this._glue = false;
+        this._segmenter = FileParser.needsSegmenter(lang) && typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter(lang, { granularity: 'word' })
+            : null;
+    }
+
+    /**
+     * Append a run of text sharing the same attributes
+     * @param {string} text
+     * @param {Object} [attrs] - { heading, emphasis }
+     */
+    addText(text, attrs = {}) {
+        if (!text) return;
+        const parts = text.split(/\s+/);
+        parts.forEach((part, i) => {
+            if (!part) return;
+            this._splitWords(part).forEach((word, j) => {
+                if (i === 0 && j === 0 && this._glue && this.tokens.length > 0) {
+                    this.tokens[this.tokens.length - 1].text += word;
+                } else {
+                    this.tokens.push(FileParser.makeToken(word, attrs));
+                }
+            });
+        });
+        this._glue = !/\s$/.test(text);
+    }
+
+    /**
+     * Split a whitespace-free run into words. Only scripts written without
+     * spaces go through Intl.Segmenter; punctuation stays attached to the
+     * word it follows (or precedes, for opening brackets and quotes).
+     */
+    _splitWords(part) {
+        if (!this._segmenter) return [part];
+
+        const words = [];
+        let pending = '';
+        for (const { segment, isWordLike } of this._segmenter.segment(part)) {
+            if (isWordLike) {
+                words.push(pending + segment);
+                pending = '';
+            } else if (words.length === 0 || OPENING_PUNCT_RE.test(segment)) {
+                pending += segment;
+            } else {
+                words[words.length - 1] += segment;
+            }
+        }
+        if (pending) {
+            if (words.length > 0) words[words.length - 1] += pending;
+            else words.push(pending);
+        }
+        return words;
+    }
+
+    /**
+     * Break the current word without ending the paragraph (e.g. <br>)
+     */
+    breakWord() {
+        this._glue = false;
+    }
+
+    /**
+     * End the current paragraph
+     */
+    endParagraph() {
+        this._glue = false;
+        if (this.tokens.length > 0) {
+            this.tokens[this.tokens.length - 1].paragraphEnd = true;
+        }
+    }
+
+    /**
+     * Remember the token index an anchor id points at
+     */
+    markAnchor(id) {
+        if (id && !(id in this.anchors)) this.anchors[id] = this.tokens.length;
+    }
+
+    /**
+     * Finish the stream and return the tokens
      */
+    finish() {
+        this.endParagraph();
+        sentenceSegmenter.markSentences(this.tokens, this.lang);
+        for (const token of this.tokens) {
+            token.clauseEnd = !token.sentenceEnd && CLAUSE_END_RE.test(token.text);
+        }
+        return this.tokens;
+    }
+}
+
+class FileParser {
+    constructor() {
+        this.supportedTypes = [
+            '.epub', '.pdf', '.txt', '.md', '.text', '.markdown', '.docx', '.odt',
+            '.html', '.htm', '.mhtml', '.mht', '.fb2', '.fb2.zip', '.rtf', '.mobi', '.azw3',
+        ];
+        // Types whose parsers need no DOM. Workers have no DOMParser, so the
+        // XML formats (EPUB, DOCX, ODT, FB2) and the HTML ones (HTML, MOBI),
+        // whose tokenizers walk a parsed document, stay on the main thread;
+        // those parsers yield and check for cancellation as they go instead
+        this.workerTypes = ['.pdf', '.txt', '.text', '.md', '.markdown', '.rtf'];
+        this.version = PARSER_VERSION;
+        this._lastYield = 0;
+    }
+
     /**
      * Parse a file or buffer and return a structured document object.
+     * `words` in the result is a token stream (see TokenBuilder).
      * @param {File|ArrayBuffer} input - Not output
      * @param {string} [filename] - Required if input is ArrayBuffer
+     * @param {Object} [options]
+     * @param {string} [options.language] - BCP 47 override for the book's language
+     * @param {string} [options.encoding] - text encoding override for TXT, MD and HTML
+     * @param {string} [options.password] - password for an encrypted PDF
+     * @param {boolean} [options.recover] - skip unreadable parts instead of failing
+     * @param {Function} [options.onProgress] - called with { current, total, unit }
+     * @param {AbortSignal} [options.signal] - cancels the parse with a 'cancelled' ParseError
      * @returns {Promise<Object>} Parsed document
+     * @throws {ParseError}
      */
-    async parse(input, filename) {
+    async parse(input, filename, options = {}) {
         let buffer;
         let name;
 
@@ -34,19 +249,94 @@ class FileParser {
 
         const ext = this._getExtension(name);
 
+        if (!this.supportedTypes.includes(ext)) {
+            throw new ParseError('unsupported', `Unsupported file type: ${ext || name}`);
+        }
+        if (buffer.byteLength === 0) {
+            throw new ParseError('empty', 'File is empty');
+        }
+
+        const doc = await this._parseByType(ext, buffer, name, options);
+        if (doc.words.length === 0) {
+            throw new ParseError('empty', doc.format === 'pdf'
+                ? 'No readable text found (the PDF may contain only scanned images)'
+                : 'No readable text found');
+        }
+        return doc;
+    }
+
+    /**
+     * Whether a file can be parsed inside a Web Worker
+     */
+    canParseInWorker(filename) {
+        return this.workerTypes.includes(this._getExtension(filename));
+    }
+
+    /**
+     * Report progress and stop if the parse was cancelled. On the main
+     * thread this also yields every so often so the page can repaint.
+     */
+    async _progress(options, current, total, unit) {
+        if (options.signal?.aborted) {
+            throw new ParseError('cancelled', 'Parsing was cancelled');
+        }
+        options.onProgress?.({ current, total, unit });
+        if (typeof document !== 'undefined' && performance.now() - this._lastYield > 50) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            this._lastYield = performance.now();
+        }
+    }
+
+    /**
+     * Run a block walker over `nodes` a step at a time, so a long document
+     * reports progress and can be cancelled while it is tokenized
+     * @param {Iterable<Element>} nodes
+     * @param {Object} options - parse options
+     * @param {string} unit - what `nodes` are, for the progress label
+     * @param {Function} walk - called with each step's array of nodes
+     */
+    async _walkInSteps(nodes, options, unit, walk) {
+        const list = Array.from(nodes);
+        for (let i = 0; i < list.length; i += BLOCKS_PER_STEP) {
+            await this._progress(options, i + 1, list.length, unit);
+            walk(list.slice(i, i + BLOCKS_PER_STEP));
+        }
+    }
+
+    /**
+     * Dispatch to the parser for a file extension
+     */
+    async _parseByType(ext, buffer, name, options) {
         switch (ext) {
             case '.epub':
-                return await this._parseEpub(buffer, name);
+                return await this._parseEpub(buffer, name, options);
             case '.pdf':
-                return await this._parsePdf(buffer, name);
+                return await this._parsePdf(buffer, name, options);
             case '.txt':
             case '.text':
-                return await this._parsePlainText(buffer, name);
+                return await this._parsePlainText(buffer, name, options);
             case '.md':
             case '.markdown':
-                return await this._parseMarkdown(buffer, name);
+                return await this._parseMarkdown(buffer, name, options);
+            case '.docx':
+                return await this._parseDocx(buffer, name, options);
+            case '.odt':
+                return await this._parseOdt(buffer, name, options);
+            case '.html':
+            case '.htm':
+            case '.mhtml':
+            case '.mht':
+                return await this._parseHtml(buffer, name, options);
+            case '.fb2':
+            case '.fb2.zip':
+                return await this._parseFb2(buffer, name, options);
+            case '.rtf':
+                return await this._parseRtf(buffer, name, options);
+            case '.mobi':
+            case '.azw3':
+                return await this._parseMobi(buffer, name, options);
             default:
-                throw new Error(`Unsupported file type: ${ext}`);
+                throw new ParseError('unsupported', `Unsupported file type: ${ext}`);
         }
     }
 
@@ -55,6 +345,7 @@ class FileParser {
      */
     _getExtension(filename) {
         if (!filename) return '';
+        if (/\.fb2\.zip$/i.test(filename)) return '.fb2.zip';
         const idx = filename.lastIndexOf('.');
         return idx >= 0 ? filename.substring(idx).toLowerCase() : '';
     }
@@ -62,41 +353,61 @@ class FileParser {
     /**
      * Parse EPUB
      */
-    async _parseEpub(buffer, filename) {
+    async _parseEpub(buffer, filename, options = {}) {
+        await this._checkEpubArchive(buffer);
+
         // Convert buffer to Blob for better compatibility with epub.js on iOS
         const blob = new Blob([buffer], { type: 'application/epub+zip' });
         const book = ePub(blob);
-        await book.ready;
+        try {
+            await book.ready;
+        } catch (err) {
+            book.destroy();
+            throw new ParseError('corrupt', 'The EPUB package is damaged or incomplete', { cause: err });
+        }
 
         const metadata = book.packaging.metadata;
         const spine = book.spine;
-        const chapters = [];
+        const spineChapters = [];
+        const spineEntries = []; // { href, start, anchors } per spine item
+        const skipped = []; // { href, reason } for spine items that failed to load
         let allText = '';
         let allWords = [];
+        let lang = options.language || metadata.language || '';
 
         // Iterate through spine items to extract text
         for (let i = 0; i < spine.items.length; i++) {
             const item = spine.items[i];
+            const entry = { href: item.href, start: allWords.length, anchors: {} };
+            spineEntries.push(entry);
+            try {
+                await this._progress(options, i + 1, spine.items.length, 'section');
+            } catch (err) {
+                book.destroy();
+                throw err;
+            }
             try {
                 const doc = await book.load(item.href);
 
                 // doc is a Document object, extract text
-                let chapterText = '';
+                let root = null;
                 if (doc && doc.body) {
-                    chapterText = this._extractTextFromNode(doc.body);
+                    root = doc.body;
                 } else if (doc && doc.documentElement) {
-                    chapterText = this._extractTextFromNode(doc.documentElement);
+                    root = doc.documentElement;
                 } else if (typeof doc === 'string') {
-                    chapterText = this._stripHtml(doc);
+                    root = this._htmlToNode(doc);
                 }
 
-                chapterText = chapterText.trim();
+                const chapterText = root ? this._extractTextFromNode(root).trim() : '';
                 if (chapterText.length === 0) continue;
 
-                const chapterWords = this._tokenize(chapterText);
+                if (!lang) lang = this._detectLanguage(chapterText);
+                const chapterWords = this._tokenizeNode(root, entry.anchors, lang);
+                if (chapterWords.length === 0) continue;
 
-                chapters.push({
-                    title: item.label || `Chapter ${chapters.length + 1}`,
+                spineChapters.push({
+                    title: item.label || this._firstHeading(chapterWords) || `Chapter ${spineChapters.length + 1}`,
                     startWordIndex: allWords.length,
                     wordCount: chapterWords.length,
                 });
@@ -105,10 +416,34 @@ class FileParser {
                 allText += chapterText + '\n\n';
             } catch (err) {
                 console.warn(`Failed to load chapter ${item.href}:`, err);
+                skipped.push({ href: item.href, reason: err.message || String(err) });
                 // Continue to next chapter
             }
         }
 
+        // Broken spine items fail the import unless recovery was asked for
+        if (skipped.length > 0 && (!options.recover || skipped.length === spine.items.length)) {
+            book.destroy();
+            const recoverable = skipped.length < spine.items.length;
+            throw new ParseError('corrupt',
+                recoverable
+                    ? `${skipped.length} of ${spine.items.length} sections could not be read`
+                    : 'None of the book\'s sections could be read',
+                { skipped, recoverable });
+        }
+
+        // Prefer the book's own table of contents (nav document or NCX)
+        let toc = [];
+        try {
+            const navigation = await book.loaded.navigation;
+            toc = navigation?.toc || [];
+        } catch (err) {
+            console.warn('Failed to load EPUB navigation:', err);
+        }
+        let chapters = this._epubTocChapters(toc, spineEntries, allWords.length);
+        if (chapters.length === 0) chapters = spineChapters;
+        this._markChapterStarts(allWords, chapters);
+
         book.destroy();
 
         return {
@@ -119,42 +454,187 @@ class FileParser {
             fullText: allText.trim(),
             format: 'epub',
             wordCount: allWords.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+            skipped,
         };
     }
 
     /**
-     * Parse PDF
+     * Open the EPUB container to tell damaged archives and DRM-protected
+     * books apart before epub.js gets to them
      */
-    async _parsePdf(buffer, filename) {
-        const pdf = await pdfjsLib.getDocument({ data: buffer }).promise;
+    async _checkEpubArchive(buffer) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(buffer);
+        } catch (err) {
+            throw new ParseError('corrupt', 'The file is not a valid EPUB archive (damaged or truncated)', { cause: err });
+        }
 
-        let allText = '';
-        let allWords = [];
+        // Adobe ADEPT and Apple FairPlay leave their own rights files
+        if (zip.file('META-INF/rights.xml') || zip.file('META-INF/sinf.xml')) {
+            throw new ParseError('drm', 'This EPUB is DRM-protected and can\'t be opened');
+        }
+
+        const encryption = zip.file('META-INF/encryption.xml');
+        if (encryption) {
+            const xml = await encryption.async('string');
+            const algorithms = [...xml.matchAll(/Algorithm\s*=\s*["']([^"']+)["']/g)].map(m => m[1]);
+            const contentAlgorithms = algorithms.filter(a =>
+                !FONT_OBFUSCATION_ALGORITHMS.includes(a) && !/#(sha|ripemd)\d*$|xmldsig/i.test(a));
+            if (contentAlgorithms.length > 0) {
+                throw new ParseError('drm', 'This EPUB is DRM-protected and can\'t be opened');
+            }
+        }
+    }
+
+    /**
+     * Build chapters from an EPUB table of contents. Nesting depth becomes
+     * `level`, and fragment anchors resolve to the exact word inside the
+     * spine document, so one file holding several sections yields several
+     * chapters. Entries that point nowhere we know are dropped.
+     * @param {Object[]} toc - epub.js NavItems ({ label, href, subitems })
+     * @param {Object[]} spineEntries - { href, start, anchors } per spine item
+     * @param {number} totalWords
+     */
+    _epubTocChapters(toc, spineEntries, totalWords) {
         const chapters = [];
 
+        const visit = (items, level) => {
+            for (const item of items) {
+                const start = this._resolveEpubHref(item.href, spineEntries);
+                const title = (item.label || '').replace(/\s+/g, ' ').trim();
+                if (start !== null && start < totalWords && title) {
+                    chapters.push({ title, startWordIndex: start, level });
+                }
+                if (item.subitems?.length) visit(item.subitems, level + 1);
+            }
+        };
+        visit(toc, 1);
+
+        // Document order; Array.prototype.sort is stable, so a parent stays
+        // ahead of a child that starts on the same word
+        return chapters.sort((a, b) => a.startWordIndex - b.startWordIndex);
+    }
+
+    /**
+     * Resolve a TOC href ("text/ch1.xhtml#sec2") to a word index
+     */
+    _resolveEpubHref(href, spineEntries) {
+        if (!href) return null;
+        const [rawPath, fragment] = href.split('#');
+        const path = this._normalizeHref(rawPath);
+
+        // TOC hrefs are relative to the nav document, spine hrefs to the
+        // package document, so compare from the end of the path
+        const entry = spineEntries.find(e => this._normalizeHref(e.href) === path)
+            || spineEntries.find(e => {
+                const spinePath = this._normalizeHref(e.href);
+                return spinePath.endsWith('/' + path) || path.endsWith('/' + spinePath);
+            });
+        if (!entry) return null;
+
+        if (fragment && entry.anchors[fragment] !== undefined) {
+            return entry.start + entry.anchors[fragment];
+        }
+        return entry.start;
+    }
+
+    _normalizeHref(href) {
+        let path = href || '';
+        try {
+            path = decodeURIComponent(path);
+        } catch (_) { /* keep the raw path */ }
+        return path.replace(/^(\.{1,2}\/)+/, '').replace(/^\//, '');
+    }
+
+    /**
+     * Text of the first heading in a token stream, if any
+     */
+    _firstHeading(tokens) {
+        const start = tokens.findIndex(t => t.heading > 0);
+        if (start < 0) return '';
+        let end = start;
+        while (end < tokens.length - 1 && !tokens[end].paragraphEnd && tokens[end + 1].heading > 0) end++;
+        const title = tokens.slice(start, end + 1).map(t => t.text).join(' ');
+        return title.length > 60 ? title.substring(0, 60) + '…' : title;
+    }
+
+    /**
+     * Parse PDF
+     */
+    async _parsePdf(buffer, filename, options = {}) {
+        const pdf = await this._openPdf(buffer, options.password);
+        try {
+            return await this._readPdf(pdf, filename, options);
+        } finally {
+            pdf.destroy();
+        }
+    }
+
+    /**
+     * Build the document from an open PDF
+     */
+    async _readPdf(pdf, filename, options) {
+        // Pass 1: rebuild lines from positioned text items
+        const pages = [];
         for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            await this._progress(options, pageNum, pdf.numPages, 'page');
             const page = await pdf.getPage(pageNum);
             const textContent = await page.getTextContent();
-            const pageText = textContent.items
-                .map(item => item.str)
-                .join(' ')
-                .trim();
+            pages.push({ pageNum, lines: this._pdfTextLines(textContent.items) });
+        }
 
-            if (pageText.length === 0) continue;
+        // Pass 2: drop running headers, footers and page numbers
+        this._stripPdfRunningLines(pages);
 
-            // Treat each page as a rough "chapter" for navigation
-            if (pageNum === 1 || pageNum % 10 === 0) {
-                chapters.push({
-                    title: `Page ${pageNum}`,
-                    startWordIndex: allWords.length,
-                });
+        // Pass 3: find paragraph breaks within each page, and headings by font size
+        for (const page of pages) this._markPdfParagraphs(page.lines);
+        this._markPdfHeadings(pages.flatMap(p => p.lines));
+
+        const sample = pages.slice(0, 5).flatMap(p => p.lines.map(l => l.text)).join(' ');
+        const lang = options.language || this._detectLanguage(sample);
+
+        // Pass 4: tokens, re-joining words hyphenated across line ends
+        const builder = new TokenBuilder(lang);
+        const pageStarts = {}; // pageNum → first word index
+        const lines = pages.flatMap(p => p.lines.map((line, i) => ({ ...line, pageNum: p.pageNum, pageStart: i === 0 })));
+        let allText = '';
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const next = lines[i + 1];
+
+            if (line.pageStart) pageStarts[line.pageNum] = builder.tokens.length;
+            if (i > 0 && this._pdfStartsParagraph(line, lines[i - 1])) {
+                builder.endParagraph();
+                allText = allText.trimEnd() + '\n\n';
             }
+            line.wordIndex = builder.tokens.length;
 
-            const pageWords = this._tokenize(pageText);
-            allWords = allWords.concat(pageWords);
-            allText += pageText + '\n\n';
+            let text = line.text;
+            const continues = next && !this._pdfStartsParagraph(next, line);
+            if (text.endsWith('\u00ad')) {
+                text = text.slice(0, -1);
+            } else if (continues && /\p{L}-$/u.test(text) && /^\p{Ll}/u.test(next.text)) {
+                text = text.slice(0, -1);
+            } else {
+                text += ' ';
+            }
+            builder.addText(text, { heading: line.headingLevel || 0 });
+            allText += text;
         }
 
+        const allWords = builder.finish();
+
+        // Chapters: the document outline, else headings found by font size,
+        // else page ranges named by the PDF's page labels
+        let chapters = await this._pdfOutlineChapters(pdf, lines, allWords.length);
+        if (chapters.length === 0) chapters = this._pdfHeadingChapters(lines);
+        if (chapters.length === 0) chapters = await this._pdfPageChapters(pdf, pages, pageStarts, allWords.length);
+        this._markChapterStarts(allWords, chapters);
+
         // Extract metadata
         let title = filename.replace(/\.pdf$/i, '');
         let author = '';
@@ -174,16 +654,330 @@ class FileParser {
             fullText: allText.trim(),
             format: 'pdf',
             wordCount: allWords.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+            encrypted: !!options.password,
+        };
+    }
+
+    /**
+     * Open a PDF with pdf.js, turning its exceptions into ParseErrors.
+     * pdf.js may take ownership of the data it is given, so it gets a copy
+     * and the caller's buffer stays usable for a retry with a password.
+     */
+    async _openPdf(buffer, password) {
+        try {
+            return await pdfjsLib.getDocument({
+                data: new Uint8Array(buffer.slice(0)),
+                password,
+            }).promise;
+        } catch (err) {
+            if (err?.name === 'PasswordException') {
+                const incorrect = err.code === pdfjsLib.PasswordResponses?.INCORRECT_PASSWORD;
+                throw new ParseError('encrypted',
+                    incorrect ? 'Incorrect password' : 'This PDF is password-protected',
+                    { needsPassword: true, incorrectPassword: incorrect });
+            }
+            throw new ParseError('corrupt', 'The PDF is damaged or incomplete', { cause: err });
+        }
+    }
+
+    /**
+     * Rebuild text lines from pdf.js text items using their positions.
+     * A new line starts at `hasEOL`, a baseline change, or when the pen
+     * jumps back to the left (another column); a space is inserted where
+     * two items on a line are visibly apart.
+     * @returns {Object[]} lines: { text, x, y, right, height }
+     */
+    _pdfTextLines(items) {
+        const lines = [];
+        let line = null;
+
+        for (const item of items) {
+            if (typeof item.str !== 'string') continue; // marked-content entries
+            const [, , c, d, x, y] = item.transform;
+            const height = item.height || Math.hypot(c, d) || 10;
+
+            const startsLine = !line
+                || Math.abs(y - line.y) > Math.max(height, line.height) * 0.5
+                || x < line.right - height * 2;
+
+            if (startsLine && item.str.trim()) {
+                line = { text: '', x, y, right: x, height };
+                lines.push(line);
+            }
+
+            if (line && item.str) {
+                const gap = x - line.right;
+                if (line.text && !/\s$/.test(line.text) && !/^\s/.test(item.str) && gap > height * 0.15) {
+                    line.text += ' ';
+                }
+                line.text += item.str;
+                line.right = Math.max(line.right, x + (item.width || 0));
+                line.height = Math.max(line.height, height);
+            }
+
+            if (item.hasEOL) line = null;
+        }
+
+        return lines
+            .map(l => ({ ...l, text: l.text.replace(/\s+/g, ' ').trim() }))
+            .filter(l => l.text.length > 0);
+    }
+
+    /**
+     * Remove page numbers and lines repeated at the top or bottom of many
+     * pages (running headers and footers). Digits are ignored when comparing,
+     * so "Chapter 3 · 41" and "Chapter 3 · 42" count as the same line.
+     * A lone number (or roman numeral) only counts as a page number when
+     * numbers sit at that height on many pages, so a one-word line such as
+     * "mix" or "42" in the text is kept.
+     */
+    _stripPdfRunningLines(pages) {
+        const EDGE = 2; // lines at each end of a page that may be header/footer
+        const isEdge = (i, len) => i < EDGE || i >= len - EDGE;
+        const key = (text) => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+        const pageNumberRe = /^(page\s+)?[-–—\s]*(\d+|(?=[ivxlcdm])m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3}))[-–—\s]*((of|\/)\s*\d+)?$/i;
+        const row = (line) => Math.round(line.y / 2); // tolerates a point of jitter
+
+        const seenOn = new Map(); // key → number of pages
+        const numbersAt = new Map(); // row → number of pages with a page number in it
+        for (const page of pages) {
+            const edges = page.lines.filter((_, i) => isEdge(i, page.lines.length));
+            const keys = new Set(edges.map(l => key(l.text)));
+            for (const k of keys) seenOn.set(k, (seenOn.get(k) || 0) + 1);
+            const rows = new Set(edges.filter(l => pageNumberRe.test(l.text)).map(row));
+            for (const r of rows) numbersAt.set(r, (numbersAt.get(r) || 0) + 1);
+        }
+
+        // Odd and even pages often carry different headers, hence the low bar
+        const threshold = Math.max(3, Math.ceil(pages.length * 0.25));
+
+        for (const page of pages) {
+            const len = page.lines.length;
+            page.lines = page.lines.filter((line, i) => {
+                if (!isEdge(i, len)) return true;
+                if (pageNumberRe.test(line.text) && (numbersAt.get(row(line)) || 0) >= threshold) return false;
+                return (seenOn.get(key(line.text)) || 0) < threshold;
+            });
+        }
+    }
+
+    /**
+     * Flag lines that start a paragraph: a larger vertical gap than the
+     * usual line spacing, a first-line indent, a short line ending a
+     * sentence before it, or a change of font size (headings)
+     */
+    _markPdfParagraphs(lines) {
+        const gaps = [];
+        for (let i = 1; i < lines.length; i++) {
+            const gap = lines[i - 1].y - lines[i].y;
+            if (gap > 0) gaps.push(gap);
+        }
+        gaps.sort((a, b) => a - b);
+        const spacing = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+        for (let i = 1; i < lines.length; i++) {
+            const prev = lines[i - 1];
+            const line = lines[i];
+            const gap = prev.y - line.y;
+            const h = line.height;
+            const endsSentence = /[.!?:…]["'”’)]*$/.test(prev.text);
+
+            // Right edge of the column the previous line sits in
+            const columnRight = Math.max(...lines
+                .filter(l => Math.abs(l.x - prev.x) < h * 2)
+                .map(l => l.right));
+
+            line.paragraphStart =
+                (spacing > 0 && gap > spacing * 1.5) ||
+                (gap < 0 && endsSentence) ||
+                (gap > 0 && line.x - prev.x > h * 0.8 && line.x - prev.x < h * 6) ||
+                (endsSentence && prev.right < columnRight - h * 3) ||
+                Math.abs(line.height - prev.height) > prev.height * 0.2;
+        }
+    }
+
+    /**
+     * Flag lines set noticeably larger than the body text as headings.
+     * The body size is the one carrying the most characters; larger sizes
+     * are ranked into heading levels 1–3.
+     */
+    _markPdfHeadings(lines) {
+        const round = (h) => Math.round(h * 2) / 2;
+        const charsBySize = new Map();
+        for (const line of lines) {
+            const size = round(line.height);
+            charsBySize.set(size, (charsBySize.get(size) || 0) + line.text.length);
+        }
+        if (charsBySize.size < 2) return;
+
+        const bodySize = [...charsBySize.entries()].reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+        const isHeading = (line) =>
+            round(line.height) >= bodySize * 1.2 &&
+            line.text.length <= 80 &&
+            /\p{L}/u.test(line.text) &&
+            !/[,;]$/.test(line.text);
+
+        const candidates = lines.filter(isHeading);
+        // A document that is mostly "headings" is just set in a large font
+        if (candidates.length === 0 || candidates.length > lines.length / 3) return;
+
+        const sizes = [...new Set(candidates.map(l => round(l.height)))].sort((a, b) => b - a);
+        for (const line of candidates) {
+            line.headingLevel = Math.min(3, sizes.indexOf(round(line.height)) + 1);
+        }
+    }
+
+    /**
+     * Chapters from the PDF outline (bookmarks), nested by depth.
+     * Each destination resolves to its page and, when it carries a
+     * vertical position, to the first line at or below that position.
+     * @param {Object[]} lines - all lines with pageNum, y and wordIndex
+     */
+    async _pdfOutlineChapters(pdf, lines, totalWords) {
+        let outline = null;
+        try {
+            outline = await pdf.getOutline();
+        } catch (err) {
+            console.warn('Failed to read PDF outline:', err);
+        }
+        if (!outline || outline.length === 0) return [];
+
+        const chapters = [];
+        const visit = async (items, level) => {
+            for (const item of items) {
+                const title = (item.title || '').replace(/\s+/g, ' ').trim();
+                let start = null;
+                try {
+                    start = await this._resolvePdfDest(pdf, item.dest, lines);
+                } catch (_) { /* unresolvable destination */ }
+                if (title && start !== null && start < totalWords) {
+                    chapters.push({ title, startWordIndex: start, level });
+                }
+                if (item.items?.length) await visit(item.items, level + 1);
+            }
         };
+        await visit(outline, 1);
+
+        return chapters.sort((a, b) => a.startWordIndex - b.startWordIndex);
+    }
+
+    /**
+     * Resolve a PDF destination (named or explicit) to a word index
+     */
+    async _resolvePdfDest(pdf, dest, lines) {
+        const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+        const [ref, mode, ...args] = explicit;
+        const pageIndex = typeof ref === 'number' ? ref : await pdf.getPageIndex(ref);
+        const pageNum = pageIndex + 1;
+
+        // Vertical position of the view, where the destination has one
+        let top = null;
+        switch (mode?.name) {
+            case 'XYZ': top = args[1]; break;
+            case 'FitH':
+            case 'FitBH': top = args[0]; break;
+            case 'FitR': top = args[3]; break;
+        }
+
+        const pageLines = lines.filter(l => l.pageNum === pageNum);
+        if (pageLines.length === 0) {
+            // Blank or image-only page: the chapter starts with the next text
+            const after = lines.find(l => l.pageNum > pageNum);
+            return after ? after.wordIndex : null;
+        }
+
+        if (typeof top === 'number') {
+            const line = pageLines.find(l => l.y <= top + l.height * 0.5);
+            if (line) return line.wordIndex;
+        }
+        return pageLines[0].wordIndex;
+    }
+
+    /**
+     * Chapters from heading lines found by _markPdfHeadings.
+     * Consecutive heading lines of the same level form one title.
+     */
+    _pdfHeadingChapters(lines) {
+        const chapters = [];
+        let prev = null;
+
+        for (const line of lines) {
+            if (!line.headingLevel) {
+                prev = null;
+                continue;
+            }
+            const last = chapters[chapters.length - 1];
+            if (prev && prev.headingLevel === line.headingLevel && last) {
+                last.title += ' ' + line.text;
+            } else {
+                chapters.push({ title: line.text, startWordIndex: line.wordIndex, level: line.headingLevel });
+            }
+            prev = line;
+        }
+
+        for (const chapter of chapters) {
+            if (chapter.title.length > 60) chapter.title = chapter.title.substring(0, 60) + '…';
+        }
+        // One heading is a title page, not a structure
+        return chapters.length >= 2 ? chapters : [];
+    }
+
+    /**
+     * Rough page-range chapters: every tenth page, plus wherever the page
+     * numbering style changes (e.g. roman front matter to arabic body).
+     * Titles use the PDF's page labels when it has them.
+     */
+    async _pdfPageChapters(pdf, pages, pageStarts, totalWords) {
+        let labels = null;
+        try {
+            labels = await pdf.getPageLabels();
+        } catch (_) { /* no page labels */ }
+
+        const labelStyle = (label) => (/^\d+$/.test(label) ? 'arabic' : /^[ivxlcdm]+$/i.test(label) ? 'roman' : label.replace(/[\divxlcdm]+$/i, ''));
+        const chapters = [];
+        let prevStyle = null;
+
+        for (const { pageNum } of pages) {
+            const start = pageStarts[pageNum];
+            const label = labels?.[pageNum - 1] || String(pageNum);
+            const style = labelStyle(label);
+            const styleChanged = prevStyle !== null && style !== prevStyle;
+            prevStyle = style;
+
+            if (start === undefined || start >= totalWords) continue;
+            if (chapters.length === 0 || pageNum % 10 === 0 || styleChanged) {
+                if (chapters.length > 0 && chapters[chapters.length - 1].startWordIndex === start) continue;
+                chapters.push({ title: `Page ${label}`, startWordIndex: start });
+            }
+        }
+        return chapters;
+    }
+
+    /**
+     * Whether `line` starts a new paragraph after `prev`. Within a page this
+     * was decided by _markPdfParagraphs; across a page break a paragraph
+     * only continues if the previous page ended mid-sentence.
+     */
+    _pdfStartsParagraph(line, prev) {
+        if (line.pageNum !== prev.pageNum) {
+            return /[.!?:…]["'”’)]*$/.test(prev.text);
+        }
+        return !!line.paragraphStart;
     }
 
     /**
      * Parse plain text
      */
-    async _parsePlainText(buffer, filename) {
-        const text = new TextDecoder().decode(buffer);
-        const words = this._tokenize(text);
-        const chapters = this._detectChapters(text, words);
+    async _parsePlainText(buffer, filename, options = {}) {
+        const { text, encoding, confidence } = encodingDetector.decode(buffer, options.encoding);
+        const lang = options.language || this._detectLanguage(text);
+        const words = this._tokenize(text, {}, lang);
+        const chapters = this._detectChapters(text, lang);
+        this._markChapterStarts(words, chapters);
 
         return {
             title: filename.replace(/\.(txt|text)$/i, ''),
@@ -193,17 +987,22 @@ class FileParser {
             fullText: text,
             format: 'txt',
             wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+            encoding,
+            encodingConfidence: confidence,
         };
     }
 
     /**
      * Parse Markdown
      */
-    async _parseMarkdown(buffer, filename) {
-        const rawText = new TextDecoder().decode(buffer);
+    async _parseMarkdown(buffer, filename, options = {}) {
+        const { text: rawText, encoding, confidence } = encodingDetector.decode(buffer, options.encoding);
         const strippedText = this._stripMarkdown(rawText);
-        const words = this._tokenize(strippedText);
-        const chapters = this._detectMarkdownHeadings(rawText, strippedText, words);
+        const lang = options.language || this._detectLanguage(strippedText);
+        const words = this._tokenizeMarkdown(rawText, lang);
+        const chapters = this._headingChapters(words);
 
         return {
             title: filename.replace(/\.(md|markdown)$/i, ''),
@@ -214,22 +1013,1631 @@ class FileParser {
             fullTextStripped: strippedText,
             format: 'md',
             wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+            encoding,
+            encodingConfidence: confidence,
         };
     }
 
-    // --- Text Processing Utilities ---
-
     /**
-     * Tokenize text into words array, preserving punctuation attached to words
+     * Parse a Word document. Only word/document.xml is read, so headers,
+     * footers, comments and footnotes (separate parts) are left out.
      */
-    _tokenize(text) {
-        return text
-            .replace(/\r\n/g, '\n')
-            .split(/\s+/)
-            .filter(w => w.length > 0);
-    }
+    async _parseDocx(buffer, filename, options = {}) {
+        const zip = await this._openOfficeZip(buffer, 'Word document');
+        const documentXml = zip.file('word/document.xml');
+        if (!documentXml) {
+            throw new ParseError('corrupt', 'The Word document has no body (word/document.xml is missing)');
+        }
 
-    /**
+        const doc = this._parseXml(await documentXml.async('string'));
+        const styles = zip.file('word/styles.xml');
+        const headingStyles = styles
+            ? this._docxHeadingStyles(this._parseXml(await styles.async('string')))
+            : {};
+        const props = await this._officeProperties(zip, 'docProps/core.xml');
+
+        const body = this._xmlChild(doc.documentElement, 'body');
+        const lang = options.language || props.language || this._detectLanguage(body?.textContent || '');
+        const builder = new TokenBuilder(lang);
+        if (body) {
+            await this._walkInSteps(body.children, options, 'block',
+                blocks => this._tokenizeDocxBlock(blocks, builder, headingStyles));
+        }
+        const words = builder.finish();
+        const chapters = this._headingChapters(words);
+
+        return {
+            title: props.title || filename.replace(/\.docx$/i, ''),
+            author: props.author,
+            chapters,
+            words,
+            fullText: words.map(w => w.text).join(' '),
+            format: 'docx',
+            wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+        };
+    }
+
+    /**
+     * Map paragraph style ids to heading levels, from the style name
+     * ("heading 2") or its outline level, following basedOn chains
+     */
+    _docxHeadingStyles(stylesDoc) {
+        const byId = {};
+        for (const style of this._xmlElements(stylesDoc, 'style')) {
+            if (style.getAttribute('w:type') !== 'paragraph') continue;
+            const name = this._xmlChild(style, 'name')?.getAttribute('w:val') || '';
+            const outline = this._xmlChild(this._xmlChild(style, 'pPr'), 'outlineLvl')?.getAttribute('w:val');
+            byId[style.getAttribute('w:styleId')] = {
+                name: name.toLowerCase(),
+                outline: outline != null ? Number(outline) : null,
+                basedOn: this._xmlChild(style, 'basedOn')?.getAttribute('w:val'),
+            };
+        }
+
+        const levelOf = (id, depth = 0) => {
+            const style = byId[id];
+            if (!style || depth > 10) return 0;
+            const named = style.name.match(/^heading (\d)$/);
+            if (named) return Number(named[1]);
+            if (style.name === 'title') return 1;
+            if (style.outline !== null && style.outline < 9) return style.outline + 1;
+            return levelOf(style.basedOn, depth + 1);
+        };
+
+        const levels = {};
+        for (const id of Object.keys(byId)) {
+            const level = levelOf(id);
+            if (level) levels[id] = Math.min(level, 6);
+        }
+        return levels;
+    }
+
+    /**
+     * Walk block-level WordprocessingML: paragraphs, tables and content controls
+     * @param {Iterable<Element>} nodes - sibling block elements
+     */
+    _tokenizeDocxBlock(nodes, builder, headingStyles) {
+        for (const child of nodes) {
+            switch (child.localName) {
+                case 'p':
+                    this._tokenizeDocxParagraph(child, builder, headingStyles);
+                    break;
+                case 'tbl':
+                case 'tr':
+                case 'tc':
+                case 'sdt':
+                case 'sdtContent':
+                case 'customXml':
+                case 'ins':
+                    this._tokenizeDocxBlock(child.children, builder, headingStyles);
+                    break;
+            }
+        }
+    }
+
+    _tokenizeDocxParagraph(p, builder, headingStyles) {
+        const pPr = this._xmlChild(p, 'pPr');
+        const styleId = this._xmlChild(pPr, 'pStyle')?.getAttribute('w:val');
+        const outline = this._xmlChild(pPr, 'outlineLvl')?.getAttribute('w:val');
+        let heading = headingStyles[styleId] || 0;
+        if (!heading && outline != null && Number(outline) < 9) heading = Math.min(Number(outline) + 1, 6);
+
+        const walk = (node) => {
+            for (const child of node.children) {
+                switch (child.localName) {
+                    case 'r':
+                        this._tokenizeDocxRun(child, builder, heading);
+                        break;
+                    case 'hyperlink':
+                    case 'smartTag':
+                    case 'fldSimple':
+                    case 'ins':
+                    case 'sdt':
+                    case 'sdtContent':
+                    case 'customXml':
+                        walk(child);
+                        break;
+                    case 'bookmarkStart':
+                        builder.markAnchor(child.getAttribute('w:name'));
+                        break;
+                    // pPr, deleted text (del), comments and field code are skipped
+                }
+            }
+        };
+        walk(p);
+        builder.endParagraph();
+    }
+
+    _tokenizeDocxRun(r, builder, heading) {
+        const rPr = this._xmlChild(r, 'rPr');
+        const isOn = (name) => {
+            const el = this._xmlChild(rPr, name);
+            if (!el) return false;
+            const val = el.getAttribute('w:val');
+            return val === null || !['0', 'false', 'off', 'none'].includes(val);
+        };
+        if (isOn('vanish')) return;
+        const attrs = { heading, emphasis: isOn('b') || isOn('i') || isOn('u') };
+
+        for (const child of r.children) {
+            switch (child.localName) {
+                case 't':
+                    builder.addText(child.textContent, attrs);
+                    break;
+                case 'tab':
+                case 'br':
+                case 'cr':
+                    builder.addText(' ', attrs);
+                    break;
+                case 'noBreakHyphen':
+                    builder.addText('-', attrs);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Parse an OpenDocument text file. Headers and footers live in the
+     * master pages of styles.xml, so reading content.xml leaves them out.
+     */
+    async _parseOdt(buffer, filename, options = {}) {
+        const zip = await this._openOfficeZip(buffer, 'OpenDocument file');
+        const contentXml = zip.file('content.xml');
+        if (!contentXml) {
+            throw new ParseError('corrupt', 'The OpenDocument file has no content (content.xml is missing)');
+        }
+
+        const doc = this._parseXml(await contentXml.async('string'));
+        const props = await this._officeProperties(zip, 'meta.xml');
+        const emphasisStyles = this._odtEmphasisStyles(doc);
+
+        const body = this._xmlElements(doc, 'text')
+            .find(el => el.parentNode?.localName === 'body');
+        const lang = options.language || props.language || this._detectLanguage(body?.textContent || '');
+        const builder = new TokenBuilder(lang);
+        if (body) {
+            await this._walkInSteps(body.children, options, 'block',
+                blocks => this._tokenizeOdtBlock(blocks, builder, emphasisStyles));
+        }
+        const words = builder.finish();
+        const chapters = this._headingChapters(words);
+
+        return {
+            title: props.title || filename.replace(/\.odt$/i, ''),
+            author: props.author,
+            chapters,
+            words,
+            fullText: words.map(w => w.text).join(' '),
+            format: 'odt',
+            wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+        };
+    }
+
+    /**
+     * Names of automatic text styles that make text bold, italic or underlined
+     */
+    _odtEmphasisStyles(doc) {
+        const names = new Set();
+        for (const style of this._xmlElements(doc, 'style')) {
+            const props = this._xmlChild(style, 'text-properties');
+            if (!props) continue;
+            const weight = props.getAttribute('fo:font-weight');
+            const italic = props.getAttribute('fo:font-style');
+            const underline = props.getAttribute('style:text-underline-style');
+            if ((weight && weight !== 'normal') || italic === 'italic' || (underline && underline !== 'none')) {
+                names.add(style.getAttribute('style:name'));
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Walk block-level ODF text: headings, paragraphs, lists, tables and sections
+     * @param {Iterable<Element>} nodes - sibling block elements
+     */
+    _tokenizeOdtBlock(nodes, builder, emphasisStyles) {
+        for (const child of nodes) {
+            switch (child.localName) {
+                case 'h': {
+                    const level = Number(child.getAttribute('text:outline-level')) || 1;
+                    this._tokenizeOdtInline(child, builder, { heading: Math.min(level, 6), emphasis: false }, emphasisStyles);
+                    builder.endParagraph();
+                    break;
+                }
+                case 'p':
+                    this._tokenizeOdtInline(child, builder, { heading: 0, emphasis: false }, emphasisStyles);
+                    builder.endParagraph();
+                    break;
+                case 'list':
+                case 'list-item':
+                case 'list-header':
+                case 'section':
+                case 'table':
+                case 'table-header-rows':
+                case 'table-rows':
+                case 'table-row':
+                case 'table-cell':
+                    this._tokenizeOdtBlock(child.children, builder, emphasisStyles);
+                    break;
+            }
+        }
+    }
+
+    _tokenizeOdtInline(node, builder, attrs, emphasisStyles) {
+        for (const child of node.childNodes) {
+            if (child.nodeType === 3) {
+                // Whitespace in ODF text collapses like HTML
+                builder.addText(child.textContent.replace(/\s+/g, ' '), attrs);
+                continue;
+            }
+            if (child.nodeType !== 1) continue;
+
+            switch (child.localName) {
+                case 's':
+                case 'tab':
+                case 'line-break':
+                    builder.addText(' ', attrs);
+                    break;
+                case 'span': {
+                    const emphasis = attrs.emphasis || emphasisStyles.has(child.getAttribute('text:style-name'));
+                    this._tokenizeOdtInline(child, builder, { ...attrs, emphasis }, emphasisStyles);
+                    break;
+                }
+                case 'a':
+                case 'meta':
+                case 'ruby':
+                case 'ruby-base':
+                    this._tokenizeOdtInline(child, builder, attrs, emphasisStyles);
+                    break;
+                case 'bookmark':
+                case 'bookmark-start':
+                    builder.markAnchor(child.getAttribute('text:name'));
+                    break;
+                // Notes, annotations, frames and change-tracking marks are skipped
+            }
+        }
+    }
+
+    /**
+     * Load an Office Open XML or OpenDocument zip container
+     */
+    async _openOfficeZip(buffer, kind) {
+        // Password-protected Office files are stored in an OLE compound
+        // file rather than a zip
+        const magic = new Uint8Array(buffer, 0, Math.min(4, buffer.byteLength));
+        if (magic[0] === 0xD0 && magic[1] === 0xCF && magic[2] === 0x11 && magic[3] === 0xE0) {
+            throw new ParseError('encrypted', `This ${kind} is password-protected or in an old binary format`);
+        }
+
+        try {
+            return await JSZip.loadAsync(buffer);
+        } catch (err) {
+            throw new ParseError('corrupt', `The ${kind} is damaged or truncated`, { cause: err });
+        }
+    }
+
+    /**
+     * Read title, author and language from docProps/core.xml (Word)
+     * or meta.xml (OpenDocument)
+     */
+    async _officeProperties(zip, path) {
+        const props = { title: '', author: '', language: '' };
+        const file = zip.file(path);
+        if (!file) return props;
+
+        try {
+            const doc = this._parseXml(await file.async('string'));
+            const text = (name) => this._xmlElements(doc, name)[0]?.textContent.trim() || '';
+            props.title = text('title');
+            props.author = text('creator') || text('initial-creator');
+            props.language = text('language');
+        } catch (err) {
+            console.warn(`Failed to read document properties from ${path}:`, err);
+        }
+        return props;
+    }
+
+    /**
+     * Parse a saved web page (.html, .htm or .mhtml), keeping only the
+     * main article text
+     */
+    async _parseHtml(buffer, filename, options = {}) {
+        const isMhtml = /\.mht(ml)?$/i.test(filename);
+        const decoded = isMhtml ? { text: this._mhtmlToHtml(buffer) } : this._decodeHtml(buffer, options.encoding);
+        const html = decoded.text;
+
+        // DOMParser documents are inert: no scripts run and nothing loads
+        await this._progress(options, 1, 2, 'step');
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        const meta = this._htmlMetadata(doc);
+
+        await this._progress(options, 2, 2, 'step');
+        const article = this._findArticleRoot(doc);
+        const text = this._extractTextFromNode(article).replace(/\n{3,}/g, '\n\n').trim();
+        const lang = options.language || meta.language || this._detectLanguage(text);
+        const words = this._tokenizeNode(article, null, lang);
+        const chapters = this._headingChapters(words);
+
+        return {
+            title: meta.title || this._firstHeading(words) || filename.replace(/\.(html?|mht(ml)?)$/i, ''),
+            author: meta.author,
+            chapters,
+            words,
+            fullText: text,
+            format: 'html',
+            wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+            encoding: decoded.encoding,
+            encodingConfidence: decoded.confidence,
+        };
+    }
+
+    /**
+     * Decode HTML bytes using the override, the charset from a <meta> tag,
+     * or a detected encoding, in that order
+     * @returns {{ text: string, encoding: string, confidence: number }}
+     */
+    _decodeHtml(buffer, override) {
+        if (override) return encodingDetector.decode(buffer, override);
+
+        const head = new TextDecoder('latin1').decode(buffer.slice(0, 2048));
+        const charset = head.match(/<meta[^>]+charset\s*=\s*["']?([\w-]+)/i)?.[1];
+        if (charset) {
+            try {
+                return encodingDetector.decode(buffer, charset);
+            } catch (_) { /* unknown charset label */ }
+        }
+        return encodingDetector.decode(buffer);
+    }
+
+    /**
+     * Decode bytes with a named charset, falling back to UTF-8
+     */
+    _decodeText(bytes, charset) {
+        try {
+            return new TextDecoder(charset || 'utf-8').decode(bytes);
+        } catch (_) {
+            return new TextDecoder().decode(bytes);
+        }
+    }
+
+    /**
+     * Pull the HTML document out of an MHTML (MIME multipart) archive
+     */
+    _mhtmlToHtml(buffer) {
+        const raw = this._binaryString(buffer);
+        const boundary = raw.match(/boundary\s*=\s*"?([^"\r\n;]+)"?/i)?.[1];
+        const parts = boundary ? raw.split(`--${boundary}`) : [raw];
+
+        for (const part of parts) {
+            const split = part.search(/\r?\n\r?\n/);
+            if (split < 0) continue;
+            const headers = part.slice(0, split);
+            if (!/content-type:\s*text\/html/i.test(headers)) continue;
+
+            const body = part.slice(split).replace(/^\s+/, '');
+            const encoding = headers.match(/content-transfer-encoding:\s*([\w-]+)/i)?.[1].toLowerCase();
+            const charset = headers.match(/charset\s*=\s*"?([\w-]+)/i)?.[1];
+
+            let bytes;
+            if (encoding === 'base64') {
+                bytes = Uint8Array.from(atob(body.replace(/\s+/g, '')), c => c.charCodeAt(0));
+            } else if (encoding === 'quoted-printable') {
+                const decoded = body.replace(/=\r?\n/g, '').replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+                bytes = Uint8Array.from(decoded, c => c.charCodeAt(0));
+            } else {
+                bytes = Uint8Array.from(body, c => c.charCodeAt(0));
+            }
+            return this._decodeText(bytes, charset);
+        }
+
+        throw new ParseError('corrupt', 'No HTML page found in the MHTML archive');
+    }
+
+    /**
+     * Title, author and language from <title>, <html lang> and meta tags
+     */
+    _htmlMetadata(doc) {
+        const metaContent = (...selectors) => {
+            for (const selector of selectors) {
+                const value = doc.querySelector(selector)?.getAttribute('content')?.trim();
+                if (value) return value;
+            }
+            return '';
+        };
+
+        const title = metaContent('meta[property="og:title"]', 'meta[name="twitter:title"]', 'meta[name="dc.title" i]')
+            || doc.querySelector('title')?.textContent.trim()
+            || '';
+
+        // article:author is often a profile URL rather than a name
+        let author = metaContent('meta[name="author"]', 'meta[name="dc.creator" i]', 'meta[property="article:author"]', 'meta[name="byl"]');
+        if (/^https?:/i.test(author)) author = '';
+        if (!author) {
+            author = doc.querySelector('[rel="author"], [itemprop="author"] [itemprop="name"], [itemprop="author"]')?.textContent.trim() || '';
+        }
+
+        const language = doc.documentElement.getAttribute('lang')
+            || metaContent('meta[http-equiv="content-language" i]')
+            || '';
+
+        return { title, author: author.replace(/^by\s+/i, ''), language };
+    }
+
+    /**
+     * Find the element holding the main article, readability-style:
+     * drop page chrome, score paragraph containers by text length and
+     * commas, penalise link-heavy ones, then gather related siblings
+     */
+    _findArticleRoot(doc) {
+        const body = doc.body;
+        if (!body) return doc.documentElement;
+
+        body.querySelectorAll(ARTICLE_JUNK_SELECTOR).forEach(el => el.remove());
+        for (const el of Array.from(body.querySelectorAll('*'))) {
+            if (!el.isConnected || el.tagName === 'ARTICLE' || el.tagName === 'MAIN') continue;
+            const match = `${el.getAttribute('class') || ''} ${el.id}`;
+            if (UNLIKELY_CANDIDATES_RE.test(match) && !MAYBE_CANDIDATE_RE.test(match)) el.remove();
+        }
+
+        const scores = new Map();
+        const initScore = (el) => {
+            if (!scores.has(el)) scores.set(el, this._htmlBaseScore(el));
+            return scores.get(el);
+        };
+
+        for (const p of body.querySelectorAll('p, pre, td, blockquote')) {
+            const text = p.textContent.trim();
+            if (text.length < 25) continue;
+            const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+
+            const parent = p.parentElement;
+            const grandparent = parent?.parentElement;
+            if (parent) scores.set(parent, initScore(parent) + score);
+            if (grandparent) scores.set(grandparent, initScore(grandparent) + score / 2);
+        }
+
+        let top = null;
+        let topScore = 0;
+        for (const [el, score] of scores) {
+            const adjusted = score * (1 - this._linkDensity(el));
+            scores.set(el, adjusted);
+            if (adjusted > topScore) {
+                top = el;
+                topScore = adjusted;
+            }
+        }
+        if (!top) return body.querySelector('article, main, [role="main"]') || body;
+
+        // Keep siblings that score well or read like article paragraphs
+        const container = doc.createElement('div');
+        const threshold = Math.max(10, topScore * 0.2);
+        for (const sibling of Array.from(top.parentElement?.children || [top])) {
+            const text = sibling.textContent.trim();
+            const keep = sibling === top
+                || (scores.get(sibling) || 0) >= threshold
+                || (sibling.tagName === 'P' && text.length > 80 && this._linkDensity(sibling) < 0.25);
+            if (keep) container.appendChild(sibling);
+        }
+
+        // The article's own title often sits just outside the content block
+        if (!container.querySelector('h1')) {
+            const heading = body.querySelector('h1');
+            if (heading) container.prepend(heading);
+        }
+        return container;
+    }
+
+    /**
+     * Starting score for a candidate container from its tag and class/id
+     */
+    _htmlBaseScore(el) {
+        let score = 0;
+        switch (el.tagName) {
+            case 'ARTICLE':
+            case 'MAIN':
+                score += 10;
+                break;
+            case 'DIV':
+            case 'SECTION':
+                score += 5;
+                break;
+            case 'PRE':
+            case 'TD':
+            case 'BLOCKQUOTE':
+                score += 3;
+                break;
+            case 'OL':
+            case 'UL':
+            case 'DL':
+            case 'DD':
+            case 'DT':
+            case 'LI':
+            case 'ADDRESS':
+                score -= 3;
+                break;
+            case 'TH':
+            case 'H1':
+            case 'H2':
+            case 'H3':
+            case 'H4':
+            case 'H5':
+            case 'H6':
+                score -= 5;
+                break;
+        }
+
+        const match = `${el.getAttribute('class') || ''} ${el.id}`;
+        if (NEGATIVE_CLASS_RE.test(match)) score -= 25;
+        if (POSITIVE_CLASS_RE.test(match)) score += 25;
+        return score;
+    }
+
+    /**
+     * Share of an element's text that sits inside links
+     */
+    _linkDensity(el) {
+        const length = el.textContent.length;
+        if (!length) return 0;
+        let linkLength = 0;
+        for (const a of el.querySelectorAll('a')) linkLength += a.textContent.length;
+        return linkLength / length;
+    }
+
+    /**
+     * Parse a FictionBook 2 file, plain or zipped. Sections become
+     * headings by nesting depth; footnote bodies are left out.
+     */
+    async _parseFb2(buffer, filename, options = {}) {
+        let bytes = buffer;
+        if (/\.zip$/i.test(filename)) {
+            let zip;
+            try {
+                zip = await JSZip.loadAsync(buffer);
+            } catch (err) {
+                throw new ParseError('corrupt', 'The FB2 archive is damaged or truncated', { cause: err });
+            }
+            const entry = zip.file(/\.fb2$/i)[0];
+            if (!entry) throw new ParseError('corrupt', 'No .fb2 book found in the archive');
+            bytes = await entry.async('arraybuffer');
+        }
+
+        // FB2 files are often windows-1251; the XML declaration says so
+        const head = new TextDecoder('latin1').decode(bytes.slice(0, 200));
+        const encoding = head.match(/<\?xml[^>]*encoding\s*=\s*["']([\w-]+)/i)?.[1];
+        const doc = this._parseXml(this._decodeText(bytes, encoding));
+
+        const titleInfo = this._xmlElements(doc, 'title-info')[0];
+        const title = this._xmlChild(titleInfo, 'book-title')?.textContent.trim() || '';
+        const author = Array.from(titleInfo?.children || [])
+            .filter(el => el.localName === 'author')
+            .map(el => {
+                const parts = ['first-name', 'middle-name', 'last-name']
+                    .map(name => this._xmlChild(el, name)?.textContent.trim())
+                    .filter(Boolean);
+                return parts.length > 0 ? parts.join(' ') : this._xmlChild(el, 'nickname')?.textContent.trim() || '';
+            })
+            .filter(Boolean)
+            .join(', ');
+
+        const bodies = this._xmlElements(doc, 'body')
+            .filter(body => !/^(notes|comments|footnotes)$/i.test(body.getAttribute('name') || ''));
+        const lang = options.language
+            || this._xmlChild(titleInfo, 'lang')?.textContent.trim()
+            || this._detectLanguage(bodies.map(b => b.textContent).join(' '));
+
+        const builder = new TokenBuilder(lang);
+        await this._walkInSteps(bodies.flatMap(body => Array.from(body.children)), options, 'block',
+            blocks => this._tokenizeFb2Block(blocks, builder, 0));
+        const words = builder.finish();
+        const chapters = this._headingChapters(words);
+
+        return {
+            title: title || filename.replace(/\.fb2(\.zip)?$/i, ''),
+            author,
+            chapters,
+            words,
+            fullText: words.map(w => w.text).join(' '),
+            format: 'fb2',
+            wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+        };
+    }
+
+    /**
+     * Walk FB2 block elements; `depth` is the section nesting level
+     * @param {Iterable<Element>} nodes - sibling block elements
+     */
+    _tokenizeFb2Block(nodes, builder, depth) {
+        for (const child of nodes) {
+            const attrs = { heading: 0, emphasis: false };
+            if (child.getAttribute('id')) builder.markAnchor(child.getAttribute('id'));
+
+            switch (child.localName) {
+                case 'section':
+                    this._tokenizeFb2Block(child.children, builder, depth + 1);
+                    break;
+                case 'title':
+                    attrs.heading = Math.min(Math.max(depth, 1), 6);
+                    for (const p of child.children) {
+                        this._tokenizeFb2Inline(p, builder, attrs);
+                        builder.endParagraph();
+                    }
+                    break;
+                case 'subtitle':
+                    this._tokenizeFb2Inline(child, builder, { ...attrs, emphasis: true });
+                    builder.endParagraph();
+                    break;
+                case 'p':
+                case 'v':
+                case 'text-author':
+                case 'td':
+                case 'th':
+                    this._tokenizeFb2Inline(child, builder, attrs);
+                    builder.endParagraph();
+                    break;
+                case 'epigraph':
+                case 'cite':
+                case 'poem':
+                case 'stanza':
+                case 'table':
+                case 'tr':
+                    this._tokenizeFb2Block(child.children, builder, depth);
+                    break;
+                case 'empty-line':
+                    builder.endParagraph();
+                    break;
+                // image, binary and annotation are not read
+            }
+        }
+    }
+
+    _tokenizeFb2Inline(node, builder, attrs) {
+        for (const child of node.childNodes) {
+            if (child.nodeType === 3) {
+                builder.addText(child.textContent.replace(/\s+/g, ' '), attrs);
+                continue;
+            }
+            if (child.nodeType !== 1) continue;
+
+            switch (child.localName) {
+                case 'emphasis':
+                case 'strong':
+                    this._tokenizeFb2Inline(child, builder, { ...attrs, emphasis: true });
+                    break;
+                case 'a':
+                    // Footnote references point into the skipped notes body
+                    if (child.getAttribute('type') !== 'note') this._tokenizeFb2Inline(child, builder, attrs);
+                    break;
+                case 'style':
+                case 'strikethrough':
+                case 'sub':
+                case 'sup':
+                case 'code':
+                    this._tokenizeFb2Inline(child, builder, attrs);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Parse an RTF document. Headers, footers, footnotes and other
+     * non-body destinations are skipped; \outlinelevel and "heading N"
+     * styles become headings.
+     */
+    async _parseRtf(buffer, filename, options = {}) {
+        const rtf = this._binaryString(buffer);
+        if (!/^\s*\{\\rtf/.test(rtf)) {
+            throw new ParseError('corrupt', 'The file is not a valid RTF document');
+        }
+
+        const { runs, info } = this._readRtf(rtf);
+        const text = runs.map(run => (run.paragraphEnd ? '\n\n' : run.text)).join('');
+        const lang = options.language || this._detectLanguage(text);
+
+        const builder = new TokenBuilder(lang);
+        for (const run of runs) {
+            if (run.paragraphEnd) builder.endParagraph();
+            else builder.addText(run.text, run.attrs);
+        }
+        const words = builder.finish();
+        const chapters = this._headingChapters(words);
+
+        return {
+            title: info.title.trim() || this._firstHeading(words) || filename.replace(/\.rtf$/i, ''),
+            author: info.author.trim(),
+            chapters,
+            words,
+            fullText: text.replace(/\n{3,}/g, '\n\n').trim(),
+            format: 'rtf',
+            wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+        };
+    }
+
+    /**
+     * Run through RTF control words and text, producing text runs
+     * ({ text, attrs } or { paragraphEnd: true }) and the \info title/author
+     * @param {string} rtf - one char per byte
+     */
+    _readRtf(rtf) {
+        const runs = [];
+        const info = { title: '', author: '' };
+        const fontCodepages = {};
+        const styles = {}; // style number -> { name, outline }
+        let codepage = 1252;
+
+        let state = {
+            skip: false, capture: null, table: null, bold: false, italic: false,
+            underline: false, heading: 0, codepage: null, uc: 1,
+        };
+        const stack = [];
+        let defIndex = null; // font or style being defined in a table
+        let pendingBytes = [];
+        let pendingCodepage = null;
+        let skipChars = 0;
+        let current = null;
+
+        const emit = (text) => {
+            if (state.capture) {
+                if (state.capture === 'style') {
+                    if (defIndex !== null) {
+                        styles[defIndex] = styles[defIndex] || { name: '', outline: null };
+                        styles[defIndex].name += text;
+                    }
+                } else {
+                    info[state.capture] += text;
+                }
+                return;
+            }
+            if (state.skip) return;
+
+            const attrs = { heading: state.heading, emphasis: state.bold || state.italic || state.underline };
+            if (current && current.attrs.heading === attrs.heading && current.attrs.emphasis === attrs.emphasis) {
+                current.text += text;
+            } else {
+                current = { text, attrs };
+                runs.push(current);
+            }
+        };
+        const flushBytes = () => {
+            if (pendingBytes.length === 0) return;
+            emit(this._decodeText(new Uint8Array(pendingBytes), this._codepageLabel(pendingCodepage)));
+            pendingBytes = [];
+        };
+        const pushByte = (byte) => {
+            const cp = state.codepage || codepage;
+            if (pendingBytes.length > 0 && cp !== pendingCodepage) flushBytes();
+            pendingCodepage = cp;
+            pendingBytes.push(byte);
+        };
+        const endParagraph = () => {
+            flushBytes();
+            if (state.skip || state.capture) return;
+            runs.push({ paragraphEnd: true });
+            current = null;
+        };
+        const styleLevel = (n) => {
+            const style = styles[n];
+            if (!style) return 0;
+            if (style.outline !== null && style.outline < 9) return Math.min(style.outline + 1, 6);
+            const match = style.name.match(/heading\s*(\d)/i);
+            return match ? Number(match[1]) : 0;
+        };
+
+        const controlRe = /\\([a-zA-Z]{1,32})(-?\d{1,10})? ?/y;
+        let i = 0;
+        while (i < rtf.length) {
+            const ch = rtf[i];
+
+            if (ch === '{' || ch === '}') {
+                flushBytes();
+                skipChars = 0;
+                if (ch === '{') {
+                    stack.push(state);
+                    state = { ...state };
+                    if (state.table) defIndex = null;
+                } else if (stack.length > 0) {
+                    state = stack.pop();
+                }
+                i++;
+                continue;
+            }
+
+            if (ch !== '\\') {
+                i++;
+                if (ch === '\r' || ch === '\n') continue;
+                if (skipChars > 0) {
+                    skipChars--;
+                    continue;
+                }
+                const code = ch.charCodeAt(0);
+                if (code > 127) {
+                    pushByte(code);
+                } else {
+                    flushBytes();
+                    emit(ch);
+                }
+                continue;
+            }
+
+            // Control symbols
+            const next = rtf[i + 1];
+            if (next === "'") {
+                const byte = parseInt(rtf.substr(i + 2, 2), 16);
+                i += 4;
+                if (skipChars > 0) {
+                    skipChars--;
+                } else if (!Number.isNaN(byte)) {
+                    pushByte(byte);
+                }
+                continue;
+            }
+            if (!/[a-zA-Z]/.test(next || '')) {
+                i += 2;
+                if (skipChars > 0) {
+                    skipChars--;
+                    continue;
+                }
+                flushBytes();
+                if (next === '*') state.skip = true;
+                else if (next === '~') emit(' ');
+                else if (next === '_') emit('-');
+                else if (next === '\\' || next === '{' || next === '}') emit(next);
+                else if (next === '\n' || next === '\r') endParagraph();
+                continue;
+            }
+
+            // Control words
+            controlRe.lastIndex = i;
+            const match = controlRe.exec(rtf);
+            i = controlRe.lastIndex;
+            const word = match[1];
+            const param = match[2] !== undefined ? Number(match[2]) : null;
+
+            if (word === 'bin') {
+                i += param || 0;
+                continue;
+            }
+            if (skipChars > 0) {
+                skipChars--;
+                continue;
+            }
+
+            if (word === 'u') {
+                flushBytes();
+                emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+                skipChars = state.uc;
+                continue;
+            }
+            if (RTF_SYMBOLS[word]) {
+                flushBytes();
+                emit(RTF_SYMBOLS[word]);
+                continue;
+            }
+
+            switch (word) {
+                case 'ansicpg':
+                    codepage = param || 1252;
+                    break;
+                case 'mac':
+                    codepage = 10000;
+                    break;
+                case 'uc':
+                    state.uc = param ?? 1;
+                    break;
+                case 'fonttbl':
+                case 'stylesheet':
+                    state.skip = true;
+                    state.table = word;
+                    if (word === 'stylesheet') state.capture = 'style';
+                    break;
+                case 'info':
+                    state.skip = true;
+                    state.table = 'info';
+                    break;
+                case 'title':
+                case 'author':
+                    if (state.table === 'info') state.capture = word;
+                    break;
+                case 'f':
+                    if (state.table === 'fonttbl') defIndex = param;
+                    else state.codepage = fontCodepages[param] || null;
+                    break;
+                case 'fcharset':
+                    if (state.table === 'fonttbl' && defIndex !== null && param in FONT_CHARSET_CODEPAGES) {
+                        fontCodepages[defIndex] = FONT_CHARSET_CODEPAGES[param];
+                    }
+                    break;
+                case 'cpg':
+                    if (state.table === 'fonttbl' && defIndex !== null) fontCodepages[defIndex] = param;
+                    break;
+                case 's':
+                    if (state.table === 'stylesheet') {
+                        defIndex = param;
+                        styles[param] = styles[param] || { name: '', outline: null };
+                    } else if (!state.table) {
+                        state.heading = styleLevel(param);
+                    }
+                    break;
+                case 'outlinelevel':
+                    if (state.table === 'stylesheet') {
+                        if (defIndex !== null && styles[defIndex]) styles[defIndex].outline = param;
+                    } else if (!state.table) {
+                        state.heading = param !== null && param < 9 ? Math.min(param + 1, 6) : 0;
+                    }
+                    break;
+                case 'pard':
+                    state.heading = 0;
+                    break;
+                case 'plain':
+                    state.bold = state.italic = state.underline = false;
+                    break;
+                case 'b':
+                    state.bold = param !== 0;
+                    break;
+                case 'i':
+                    state.italic = param !== 0;
+                    break;
+                case 'ul':
+                    state.underline = param !== 0;
+                    break;
+                case 'ulnone':
+                    state.underline = false;
+                    break;
+                case 'par':
+                case 'sect':
+                case 'page':
+                    endParagraph();
+                    break;
+                default:
+                    if (RTF_SKIP_DESTINATIONS.has(word)) {
+                        state.skip = true;
+                        state.capture = null;
+                    }
+            }
+        }
+        flushBytes();
+
+        // Style names end with ';'
+        for (const style of Object.values(styles)) style.name = style.name.replace(/;\s*$/, '');
+        return { runs, info };
+    }
+
+    /**
+     * TextDecoder label for a Windows code page number
+     */
+    _codepageLabel(codepage) {
+        switch (codepage) {
+            case 932: return 'shift_jis';
+            case 936: return 'gbk';
+            case 949: return 'euc-kr';
+            case 950: return 'big5';
+            case 10000: return 'macintosh';
+            case 65001: return 'utf-8';
+            default: return `windows-${codepage || 1252}`;
+        }
+    }
+
+    /**
+     * Parse a DRM-free Mobipocket or KF8 (AZW3) book: decompress the
+     * PalmDOC text records and read the HTML inside
+     */
+    async _parseMobi(buffer, filename, options = {}) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        if (buffer.byteLength < 78 || this._binaryString(buffer.slice(60, 68)) !== 'BOOKMOBI') {
+            throw new ParseError('corrupt', 'The file is not a valid MOBI/AZW3 book');
+        }
+
+        const recordCount = view.getUint16(76);
+        const recordOffsets = [];
+        for (let r = 0; r < recordCount; r++) recordOffsets.push(view.getUint32(78 + r * 8));
+        recordOffsets.push(buffer.byteLength);
+        const record = (n) => bytes.subarray(recordOffsets[n], recordOffsets[n + 1]);
+
+        // Record 0: PalmDOC header, then the MOBI header and EXTH metadata
+        const header = record(0);
+        const h = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        const compression = h.getUint16(0);
+        const textRecords = h.getUint16(8);
+        const encryption = h.getUint16(12);
+        if (encryption !== 0) {
+            throw new ParseError('drm', 'This Kindle book is DRM-protected and can\'t be opened');
+        }
+        if (compression === MOBI_COMPRESSION_HUFFCDIC) {
+            throw new ParseError('unsupported', 'HUFF/CDIC-compressed Kindle books are not supported');
+        }
+        if (compression !== MOBI_COMPRESSION_NONE && compression !== MOBI_COMPRESSION_PALMDOC) {
+            throw new ParseError('corrupt', `Unknown MOBI compression type ${compression}`);
+        }
+
+        const isMobi = this._binaryString(header.slice(16, 20)) === 'MOBI';
+        const mobiHeaderLength = isMobi ? h.getUint32(20) : 0;
+        const textEncoding = isMobi ? h.getUint32(28) : 1252;
+        const extraFlags = isMobi && mobiHeaderLength >= 0xE4 ? h.getUint16(0xF2) : 0;
+        const encoding = this._codepageLabel(textEncoding);
+        const exth = isMobi && (h.getUint32(0x80) & 0x40) ? this._readExth(header, 16 + mobiHeaderLength, encoding) : {};
+
+        let fullName = '';
+        if (isMobi) {
+            const offset = h.getUint32(0x54);
+            const length = h.getUint32(0x58);
+            fullName = this._decodeText(header.slice(offset, offset + length), encoding);
+        }
+
+        // Decompress text records
+        const chunks = [];
+        for (let r = 1; r <= textRecords && r < recordCount; r++) {
+            await this._progress(options, r, textRecords, 'record');
+            let data = record(r);
+            data = data.subarray(0, data.length - this._mobiTrailingSize(data, extraFlags));
+            chunks.push(compression === MOBI_COMPRESSION_PALMDOC ? this._palmDocDecompress(data) : data);
+        }
+        const total = chunks.reduce((n, c) => n + c.length, 0);
+        const raw = new Uint8Array(total);
+        let pos = 0;
+        for (const chunk of chunks) {
+            raw.set(chunk, pos);
+            pos += chunk.length;
+        }
+
+        // KF8 (version 8 header) stores each HTML file as a skeleton plus
+        // fragments; older Mobipocket text is a single document
+        const parts = isMobi && h.getUint32(0x24) >= 8 && mobiHeaderLength >= 0xF0
+            ? this._kf8Parts(raw, record, h)
+            : null;
+        let breaks = 0;
+        let html;
+        if (parts) {
+            // Join the bodies of the parts, with a chapter break between each
+            html = `<html><body>${parts.map((part, i) => {
+                const partHtml = this._decodeText(part, encoding);
+                const body = partHtml.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+                return (i > 0 ? `<a id="mobi-break-${breaks++}"></a>` : '') + (body ? body[1] : partHtml);
+            }).join('\n')}</body></html>`;
+        } else {
+            html = this._decodeText(raw, encoding);
+            const htmlEnd = html.toLowerCase().lastIndexOf('</html>');
+            if (htmlEnd >= 0) html = html.substring(0, htmlEnd + 7);
+        }
+
+        // Mobipocket marks chapter breaks with <mbp:pagebreak/>
+        html = html.replace(/<mbp:pagebreak[^>]*>/gi, () => `<a id="mobi-break-${breaks++}"></a>`);
+
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        await this._progress(options, textRecords, textRecords, 'record');
+        const root = doc.body || doc.documentElement;
+        const text = this._extractTextFromNode(root).replace(/\n{3,}/g, '\n\n').trim();
+        const lang = options.language || exth[524]?.[0] || this._detectLanguage(text);
+        const anchors = {};
+        const words = this._tokenizeNode(root, anchors, lang);
+
+        let chapters = this._headingChapters(words);
+        if (chapters.length === 1 && breaks > 0) {
+            chapters = this._mobiBreakChapters(words, anchors);
+        }
+
+        const format = /\.azw3$/i.test(filename) ? 'azw3' : 'mobi';
+        return {
+            title: exth[503]?.[0] || fullName || this._binaryString(buffer.slice(0, 32)).replace(/\0.*$/s, '') || filename.replace(/\.(mobi|azw3)$/i, ''),
+            author: (exth[100] || []).join(', '),
+            chapters,
+            words,
+            fullText: text,
+            format,
+            wordCount: words.length,
+            language: lang,
+            direction: FileParser.textDirection(lang),
+        };
+    }
+
+    /**
+     * Chapters at Mobipocket page breaks, titled by the first words after each
+     */
+    _mobiBreakChapters(words, anchors) {
+        const starts = [0, ...Object.keys(anchors)
+            .filter(id => id.startsWith('mobi-break-'))
+            .map(id => anchors[id])]
+            .filter((start, i, all) => start < words.length && all.indexOf(start) === i)
+            .sort((a, b) => a - b);
+
+        const chapters = starts.map((start, i) => {
+            let end = start;
+            while (end < words.length - 1 && !words[end].paragraphEnd && end - start < 7) end++;
+            const title = words.slice(start, end + 1).map(w => w.text).join(' ');
+            return { title: title || `Section ${i + 1}`, startWordIndex: start };
+        });
+        this._markChapterStarts(words, chapters);
+        return chapters;
+    }
+
+    /**
+     * Rebuild the HTML files of a KF8 book. Each file is stored as a
+     * skeleton (its outer markup) followed by its fragments, which go back
+     * into the skeleton at the positions listed in the fragment index.
+     * @returns {Uint8Array[]|null} Files in reading order, or null when the
+     *   book has no skeleton index
+     */
+    _kf8Parts(raw, record, h) {
+        const fragmentIndex = h.getUint32(0xF8);
+        const skeletonIndex = h.getUint32(0xFC);
+        if (fragmentIndex === MOBI_NO_INDEX || skeletonIndex === MOBI_NO_INDEX) return null;
+        const skeletons = this._readMobiIndex(record, skeletonIndex);
+        const fragments = this._readMobiIndex(record, fragmentIndex);
+        if (!skeletons.length) return null;
+
+        // Flow 0 is the HTML; CSS and SVG flows follow it (FDST lists the flows)
+        let text = raw;
+        const fdstRecord = h.getUint32(0xC0);
+        if (fdstRecord !== MOBI_NO_INDEX) {
+            const fdst = record(fdstRecord);
+            if (fdst.length >= 20 && this._binaryString(fdst.slice(0, 4)) === 'FDST') {
+                const view = new DataView(fdst.buffer, fdst.byteOffset, fdst.byteLength);
+                text = raw.subarray(view.getUint32(12), view.getUint32(16));
+            }
+        }
+
+        // Fragments follow their skeleton in the text, in index order
+        const parts = [];
+        let next = 0;
+        for (const skeleton of skeletons) {
+            const [fragmentCount = 0] = skeleton.tags[1] || [];
+            const [start = 0, length = 0] = skeleton.tags[6] || [];
+            let part = text.subarray(start, start + length);
+            let pos = start + length;
+            for (let i = 0; i < fragmentCount && next < fragments.length; i++, next++) {
+                const fragment = fragments[next];
+                const piece = text.subarray(pos, pos + (fragment.tags[6]?.[1] || 0));
+                const insert = Math.min(Math.max(parseInt(fragment.key, 10) - start || 0, 0), part.length);
+                const joined = new Uint8Array(part.length + piece.length);
+                joined.set(part.subarray(0, insert));
+                joined.set(piece, insert);
+                joined.set(part.subarray(insert), insert + piece.length);
+                part = joined;
+                pos += piece.length;
+            }
+            parts.push(part);
+        }
+        return parts;
+    }
+
+    /**
+     * Read the entries of a MOBI index: an INDX header record with the tag
+     * table (TAGX), followed by INDX records holding the entries
+     * @returns {{ key: string, tags: Object<number, number[]> }[]}
+     */
+    _readMobiIndex(record, index) {
+        const header = record(index);
+        if (header.length < 28 || this._binaryString(header.slice(0, 4)) !== 'INDX') return [];
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        const headerLength = view.getUint32(4);
+        const entryRecords = view.getUint32(24);
+        if (this._binaryString(header.slice(headerLength, headerLength + 4)) !== 'TAGX') return [];
+
+        // Tag table: tag, values per entry, control byte mask, end-of-control-byte flag
+        const tagxLength = view.getUint32(headerLength + 4);
+        const controlBytes = view.getUint32(headerLength + 8);
+        const tagTable = [];
+        for (let p = headerLength + 12; p + 4 <= headerLength + tagxLength; p += 4) {
+            tagTable.push({ tag: header[p], perEntry: header[p + 1], mask: header[p + 2], last: header[p + 3] });
+        }
+
+        const entries = [];
+        for (let r = index + 1; r <= index + entryRecords; r++) {
+            const data = record(r);
+            if (data.length < 28 || this._binaryString(data.slice(0, 4)) !== 'INDX') continue;
+            const v = new DataView(data.buffer, data.byteOffset, data.byteLength);
+            // IDXT lists where each entry starts
+            const idxt = v.getUint32(20);
+            const count = v.getUint32(24);
+            for (let n = 0; n < count; n++) {
+                const start = v.getUint16(idxt + 4 + n * 2);
+                const keyLength = data[start];
+                entries.push({
+                    key: this._binaryString(data.slice(start + 1, start + 1 + keyLength)),
+                    tags: this._readMobiTags(data, start + 1 + keyLength, tagTable, controlBytes),
+                });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Decode one index entry's tag values, selected by its control bytes
+     */
+    _readMobiTags(data, offset, tagTable, controlBytes) {
+        let control = 0;
+        let pos = offset + controlBytes;
+        const present = [];
+        for (const { tag, perEntry, mask, last } of tagTable) {
+            if (last) {
+                control++;
+                continue;
+            }
+            let value = data[offset + control] & mask;
+            if (!value) continue;
+            if (value === mask && (mask & (mask - 1))) {
+                // All bits of a multi-bit mask: a byte length follows
+                const [byteLength, size] = this._mobiVarint(data, pos);
+                pos += size;
+                present.push({ tag, byteLength });
+            } else {
+                for (let m = mask; !(m & 1); m >>= 1) value >>= 1;
+                present.push({ tag, valueCount: value * perEntry });
+            }
+        }
+
+        const tags = {};
+        for (const { tag, byteLength, valueCount } of present) {
+            const values = [];
+            const end = pos + (byteLength || 0);
+            while (valueCount !== undefined ? values.length < valueCount : pos < end) {
+                const [value, size] = this._mobiVarint(data, pos);
+                pos += size;
+                values.push(value);
+            }
+            tags[tag] = values;
+        }
+        return tags;
+    }
+
+    /**
+     * Forward-encoded variable-width integer; the high bit marks its last byte
+     * @returns {number[]} [value, bytes read]
+     */
+    _mobiVarint(data, pos) {
+        let value = 0;
+        let size = 0;
+        while (pos + size < data.length) {
+            const byte = data[pos + size++];
+            value = value * 128 + (byte & 0x7F);
+            if (byte & 0x80) break;
+        }
+        return [value, Math.max(size, 1)];
+    }
+
+    /**
+     * Read EXTH metadata records into { type: [values] }, decoding text in
+     * the book's code page
+     */
+    _readExth(header, offset, encoding) {
+        const records = {};
+        if (this._binaryString(header.slice(offset, offset + 4)) !== 'EXTH') return records;
+
+        const view = new DataView(header.buffer, header.byteOffset, header.byteLength);
+        const count = view.getUint32(offset + 8);
+        let pos = offset + 12;
+        for (let n = 0; n < count && pos + 8 <= header.length; n++) {
+            const type = view.getUint32(pos);
+            const length = view.getUint32(pos + 4);
+            if (length < 8) break;
+            const value = this._decodeText(header.slice(pos + 8, pos + length), encoding).trim();
+            (records[type] = records[type] || []).push(value);
+            pos += length;
+        }
+        return records;
+    }
+
+    /**
+     * Size of the trailing entries MOBI appends to each text record
+     */
+    _mobiTrailingSize(data, flags) {
+        let size = 0;
+        for (let bits = flags >> 1; bits; bits >>= 1) {
+            if (!(bits & 1)) continue;
+            // Backward-encoded variable-width integer
+            let value = 0;
+            let shift = 0;
+            for (let p = data.length - size - 1; p >= 0; p--) {
+                const byte = data[p];
+                value |= (byte & 0x7F) << shift;
+                shift += 7;
+                if (byte & 0x80 || shift >= 28) break;
+            }
+            size += value;
+        }
+        if (flags & 1) {
+            size += (data[data.length - size - 1] & 0x3) + 1;
+        }
+        return Math.min(size, data.length);
+    }
+
+    /**
+     * Decompress one PalmDOC (LZ77-style) record
+     */
+    _palmDocDecompress(data) {
+        const out = [];
+        for (let i = 0; i < data.length; i++) {
+            const c = data[i];
+            if (c >= 1 && c <= 8) {
+                // Copy the next c bytes literally
+                for (let j = 0; j < c && i + 1 < data.length; j++) out.push(data[++i]);
+            } else if (c < 0x80) {
+                out.push(c);
+            } else if (c >= 0xC0) {
+                // Space followed by a character
+                out.push(0x20, c ^ 0x80);
+            } else if (i + 1 < data.length) {
+                // Back-reference: 11-bit distance, 3-bit length
+                const pair = (c << 8) | data[++i];
+                const distance = (pair >> 3) & 0x7FF;
+                const length = (pair & 7) + 3;
+                for (let j = 0; j < length && distance > 0; j++) out.push(out[out.length - distance]);
+            }
+        }
+        return Uint8Array.from(out);
+    }
+
+    /**
+     * Bytes as a string with one char per byte (for byte-oriented formats)
+     */
+    _binaryString(buffer) {
+        const data = new Uint8Array(buffer);
+        let text = '';
+        for (let i = 0; i < data.length; i += 0x8000) {
+            text += String.fromCharCode.apply(null, data.subarray(i, i + 0x8000));
+        }
+        return text;
+    }
+
+    // --- XML Utilities ---
+
+    /**
+     * Parse an XML string, rejecting malformed documents
+     */
+    _parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new ParseError('corrupt', 'The document contains malformed XML');
+        }
+        return doc;
+    }
+
+    /**
+     * First child element with the given local name (namespace prefix ignored)
+     */
+    _xmlChild(node, localName) {
+        if (!node) return null;
+        for (const child of node.children) {
+            if (child.localName === localName) return child;
+        }
+        return null;
+    }
+
+    /**
+     * All descendant elements with the given local name, in any namespace
+     */
+    _xmlElements(root, localName) {
+        return Array.from(root.getElementsByTagNameNS('*', localName));
+    }
+
+    // --- Text Processing Utilities ---
+
+    /**
+     * Create a token object for a word
+     * @param {string} text
+     * @param {Object} [attrs] - { heading, emphasis }
+     */
+    static makeToken(text, attrs = {}) {
+        return {
+            text,
+            paragraphEnd: false,
+            sentenceEnd: false,
+            clauseEnd: false,
+            heading: attrs.heading || 0,
+            chapterStart: false,
+            emphasis: !!attrs.emphasis,
+        };
+    }
+
+    /**
+     * Tokenize plain text, preserving punctuation attached to words.
+     * Blank lines end a paragraph; single newlines are treated as wrapping.
+     * @param {string} text
+     * @param {Object} [attrs] - attributes applied to every token
+     * @param {string} [lang] - language of the text
+     */
+    _tokenize(text, attrs = {}, lang = '') {
+        const builder = new TokenBuilder(lang);
+        const paragraphs = text.replace(/\r\n/g, '\n').split(/\n\s*\n/);
+        for (const para of paragraphs) {
+            builder.addText(para.trim(), attrs);
+            builder.endParagraph();
+        }
+        return builder.finish();
+    }
+
+    /**
+     * Tokenize a DOM subtree, keeping headings, emphasis and paragraph
+     * boundaries. Element ids are recorded in `anchors` (id → token index).
+     * @param {Node} root
+     * @param {Object} [anchors] - filled in place when provided
+     * @param {string} [lang] - language of the text
+     */
+    _tokenizeNode(root, anchors, lang = '') {
+        const builder = new TokenBuilder(lang);
+
+        const walk = (node, attrs) => {
+            if (node.nodeType === 3) { // Text node
+                builder.addText(node.textContent, attrs);
+                return;
+            }
+            if (node.nodeType !== 1) return; // Element nodes only
+
+            const tag = node.tagName?.toLowerCase() || '';
+            if (SKIP_TAGS.has(tag)) return;
+            if (node.id) builder.markAnchor(node.id);
+            if (tag === 'br') {
+                builder.breakWord();
+                return;
+            }
+
+            let childAttrs = attrs;
+            const headingMatch = tag.match(/^h([1-6])$/);
+            if (headingMatch) {
+                childAttrs = { ...childAttrs, heading: parseInt(headingMatch[1]) };
+            } else if (EMPHASIS_TAGS.has(tag)) {
+                childAttrs = { ...childAttrs, emphasis: true };
+            }
+
+            const isBlock = BLOCK_TAGS.has(tag);
+            if (isBlock) builder.endParagraph();
+            for (const child of node.childNodes) {
+                walk(child, childAttrs);
+            }
+            if (isBlock) builder.endParagraph();
+        };
+
+        walk(root, { heading: 0, emphasis: false });
+        const tokens = builder.finish();
+        if (anchors) Object.assign(anchors, builder.anchors);
+        return tokens;
+    }
+
+    /**
+     * Tokenize Markdown source. Headings become heading tokens, each heading,
+     * list item and blank-line separated block ends a paragraph, and
+     * bold/italic spans become emphasis.
+     */
+    _tokenizeMarkdown(rawMd, lang = '') {
+        const builder = new TokenBuilder(lang);
+        const source = rawMd
+            .replace(/\r\n/g, '\n')
+            .replace(/```[\s\S]*?```/g, '');
+        let block = [];
+
+        const flush = (attrs = {}) => {
+            if (block.length === 0) return;
+            this._addMarkdownInline(builder, block.join('\n'), attrs);
+            builder.endParagraph();
+            block = [];
+        };
+
+        for (const line of source.split('\n')) {
+            const headingMatch = line.match(/^(#{1,6})\s+(.+)/);
+            if (headingMatch) {
+                flush();
+                block.push(headingMatch[2]);
+                flush({ heading: headingMatch[1].length });
+            } else if (!line.trim()) {
+                flush();
+            } else {
+                if (/^\s*([-*+]|\d+\.)\s+/.test(line)) flush();
+                block.push(line);
+            }
+        }
+        flush();
+
+        return builder.finish();
+    }
+
+    /**
+     * Add one block of Markdown inline text to a token builder,
+     * marking words inside bold/italic spans as emphasis
+     */
+    _addMarkdownInline(builder, text, attrs) {
+        // Wrap emphasis spans in sentinel characters before stripping the rest
+        const marked = this._stripMarkdown(
+            text.replace(/(\*{1,3}|_{1,3})(.*?)\1/g, '\u0002$2\u0003')
+        );
+        for (const part of marked.split(/([\u0002\u0003])/)) {
+            if (part === '\u0002') {
+                attrs = { ...attrs, emphasis: true };
+            } else if (part === '\u0003') {
+                attrs = { ...attrs, emphasis: false };
+            } else {
+                builder.addText(part, attrs);
+            }
+        }
+    }
+
+    /**
+     * Guess the language of a text sample from its script. Only scripts that
+     * change tokenization or direction are told apart; Latin text returns ''.
+     */
+    _detectLanguage(text) {
+        const sample = text.substring(0, 5000);
+        const count = (re) => (sample.match(re) || []).length;
+
+        const kana = count(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu);
+        const han = count(/\p{Script=Han}/gu);
+        const scripts = [
+            ['ja', kana > 0 ? kana + han : 0],
+            ['zh', kana > 0 ? 0 : han],
+            ['ko', count(/\p{Script=Hangul}/gu)],
+            ['th', count(/\p{Script=Thai}/gu)],
+            ['ar', count(/\p{Script=Arabic}/gu)],
+            ['he', count(/\p{Script=Hebrew}/gu)],
+            ['ru', count(/\p{Script=Cyrillic}/gu)],
+            ['el', count(/\p{Script=Greek}/gu)],
+        ];
+        const latin = count(/\p{Script=Latin}/gu);
+
+        const [lang, n] = scripts.reduce((best, cur) => (cur[1] > best[1] ? cur : best));
+        return n > latin ? lang : '';
+    }
+
+    /**
+     * Whether a language is written without spaces between words
+     */
+    static needsSegmenter(lang) {
+        return UNSPACED_LANGUAGES.has(FileParser.primaryLanguage(lang));
+    }
+
+    /**
+     * 'rtl' or 'ltr' for a language tag
+     */
+    static textDirection(lang) {
+        return RTL_LANGUAGES.has(FileParser.primaryLanguage(lang)) ? 'rtl' : 'ltr';
+    }
+
+    static primaryLanguage(lang) {
+        return (lang || '').toLowerCase().split(/[-_]/)[0];
+    }
+
+    /**
+     * The chapter that word `index` falls in, or null before the first one
+     * @param {Object[]} chapters - a parsed document's chapters, in order
+     */
+    static chapterAt(chapters, index) {
+        let found = null;
+        for (const chapter of chapters) {
+            if (chapter.startWordIndex > index) break;
+            found = chapter;
+        }
+        return found;
+    }
+
+    /**
+     * Flag the first token of every chapter
+     */
+    _markChapterStarts(words, chapters) {
+        for (const chapter of chapters) {
+            const token = words[chapter.startWordIndex];
+            if (token) token.chapterStart = true;
+        }
+    }
+
+    /**
+     * Parse an HTML string into a detached node
+     */
+    _htmlToNode(html) {
+        const div = document.createElement('div');
+        div.innerHTML = html;
+        return div;
+    }
+
+    /**
      * Extract text from a DOM node recursively
      */
     _extractTextFromNode(node) {
@@ -252,15 +2660,6 @@ class FileParser {
         return text;
     }
 
-    /**
-     * Strip HTML tags from a string
-     */
-    _stripHtml(html) {
-        const div = document.createElement('div');
-        div.innerHTML = html;
-        return div.textContent || div.innerText || '';
-    }
-
     /**
      * Strip Markdown syntax for clean RSVP reading
      */
@@ -293,12 +2692,14 @@ class FileParser {
     }
 
     /**
-     * Detect chapter-like headings in plain text
+     * Detect chapter-like headings in plain text. Lines are counted with the
+     * tokenizer that builds the word stream, so chapter starts line up with
+     * it in scripts written without spaces too.
      */
-    _detectChapters(text, words) {
+    _detectChapters(text, lang = '') {
         const chapters = [];
         const lines = text.split('\n');
-        let wordIndex = 0;
+        const counter = new TokenBuilder(lang);
 
         for (const line of lines) {
             const trimmed = line.trim();
@@ -307,11 +2708,11 @@ class FileParser {
                 (trimmed.length > 3 && trimmed.length < 60 && trimmed === trimmed.toUpperCase() && /[A-Z]/.test(trimmed))) {
                 chapters.push({
                     title: trimmed.length > 40 ? trimmed.substring(0, 40) + '…' : trimmed,
-                    startWordIndex: wordIndex,
+                    startWordIndex: counter.tokens.length,
                 });
             }
-            const lineWords = trimmed.split(/\s+/).filter(w => w.length > 0);
-            wordIndex += lineWords.length;
+            counter.addText(trimmed);
+            counter.breakWord();
         }
 
         if (chapters.length === 0) {
@@ -322,33 +2723,32 @@ class FileParser {
     }
 
     /**
-     * Detect markdown headings as chapters
+     * Turn heading tokens (levels 1–3) into chapters
      */
-    _detectMarkdownHeadings(rawMd, strippedText, words) {
+    _headingChapters(words) {
         const chapters = [];
-        const lines = rawMd.split('\n');
-        let wordIndex = 0;
 
-        for (const line of lines) {
-            const headingMatch = line.match(/^(#{1,3})\s+(.+)/);
-            if (headingMatch) {
-                chapters.push({
-                    title: headingMatch[2].trim(),
-                    startWordIndex: wordIndex,
-                    level: headingMatch[1].length,
-                });
-            }
-            // Count words in stripped version of this line
-            const stripped = this._stripMarkdown(line).trim();
-            if (stripped) {
-                wordIndex += stripped.split(/\s+/).filter(w => w.length > 0).length;
-            }
+        for (let i = 0; i < words.length; i++) {
+            const level = words[i].heading;
+            if (level === 0 || level > 3) continue;
+            // Only the first token of a heading run starts a chapter
+            if (i > 0 && words[i - 1].heading === level && !words[i - 1].paragraphEnd) continue;
+
+            let end = i;
+            while (end < words.length - 1 && !words[end].paragraphEnd) end++;
+
+            chapters.push({
+                title: words.slice(i, end + 1).map(w => w.text).join(' '),
+                startWordIndex: i,
+                level,
+            });
         }
 
         if (chapters.length === 0) {
             chapters.push({ title: 'Start', startWordIndex: 0 });
         }
 
+        this._markChapterStarts(words, chapters);
         return chapters;
     }
 }
@@ -1,16 +1,30 @@
 /* ============================================
    SnapRead — Library Manager
-   File upload, library grid, file cards
+   File upload, library grid, file cards,
+   search, filters and sorting
    ============================================ */
 
+// Length filter bounds, in words
+const LENGTH_BUCKETS = {
+    short: [0, 20000],
+    medium: [20000, 80000],
+    long: [80000, Infinity],
+};
+
 class Library {
     constructor() {
         this.files = [];
         this.bookmarks = {};
         this.onFileOpen = null; // callback set by app.js
+        this._syncing = false;
+        this._syncFailed = false; // the last sync failed; background syncs report only the first failure
+        this.query = '';
+        this.filters = { format: '', state: '', length: '' };
+        this._collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
     }
 
     async init() {
+        this._bindControls();
         await this.refresh();
     }
 
@@ -25,25 +39,35 @@ class Library {
     render() {
         const container = document.getElementById('library-grid');
         const emptyState = document.getElementById('library-empty');
+        const controls = document.getElementById('library-controls');
 
         if (this.files.length === 0) {
             container.innerHTML = '';
             emptyState.style.display = 'flex';
+            if (controls) controls.hidden = true;
             return;
         }
 
         emptyState.style.display = 'none';
+        if (controls) controls.hidden = false;
+        this._renderFormatOptions();
 
-        // Sort by last read (or added date)
-        const sorted = [...this.files].sort((a, b) => {
-            const bkA = this.bookmarks[a.id];
-            const bkB = this.bookmarks[b.id];
-            const timeA = bkA ? bkA.lastRead : a.addedDate;
-            const timeB = bkB ? bkB.lastRead : b.addedDate;
-            return timeB - timeA;
-        });
+        const sort = settings.current.librarySort;
+        const visible = this._filtered().sort(this._comparator(sort));
+
+        const count = document.getElementById('library-count');
+        if (count) {
+            count.textContent = visible.length === this.files.length
+                ? `${this.files.length} book${this.files.length === 1 ? '' : 's'}`
+                : `${visible.length} of ${this.files.length}`;
+        }
+
+        if (visible.length === 0) {
+            container.innerHTML = '<div class="library-no-match">No books match your search and filters</div>';
+            return;
+        }
 
-        container.innerHTML = sorted.map(file => this._renderCard(file)).join('');
+        container.innerHTML = visible.map(file => this._renderCard(file, sort)).join('');
 
         // Attach event listeners
         container.querySelectorAll('.file-card').forEach(card => {
@@ -61,17 +85,29 @@ class Library {
         });
     }
 
-    _renderCard(file) {
+    _renderCard(file, sort) {
         const bookmark = this.bookmarks[file.id];
         const progress = bookmark ? bookmark.progress : 0;
-        const lastRead = bookmark
+        let lastRead = bookmark
             ? this._relativeTime(bookmark.lastRead)
             : this._relativeTime(file.addedDate);
+        if (sort === 'remaining' && this._readingState(file) !== 'finished') {
+            lastRead = `${rsvpEngine.estimateTime(this._wordsRemaining(file))} left`;
+        } else if (sort === 'added') {
+            lastRead = `Added ${this._relativeTime(file.addedDate)}`;
+        }
         const formatColors = {
             epub: '#6abf69',
             pdf: '#d45555',
             txt: '#5599dd',
             md: '#b580d4',
+            docx: '#4a7fd4',
+            odt: '#3fa6a0',
+            html: '#e08a3c',
+            fb2: '#8a6bd1',
+            rtf: '#7c8a99',
+            mobi: '#d4a23c',
+            azw3: '#d4a23c',
         };
 
         const badgeColor = formatColors[file.type] || 'var(--accent)';
@@ -98,6 +134,109 @@ class Library {
     `;
     }
 
+    // --- Search, filters and sorting ---
+
+    /**
+     * Files matching the search box and every filter
+     */
+    _filtered() {
+        const terms = this._fold(this.query).split(/\s+/).filter(Boolean);
+        const { format, state, length } = this.filters;
+
+        return this.files.filter((file) => {
+            if (format && file.type !== format) return false;
+            if (state && this._readingState(file) !== state) return false;
+            if (length) {
+                const [min, max] = LENGTH_BUCKETS[length];
+                const words = file.wordCount || 0;
+                if (words < min || words >= max) return false;
+            }
+            if (terms.length > 0) {
+                const haystack = this._fold(`${file.title} ${file.author || ''}`);
+                if (!terms.every(term => haystack.includes(term))) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Comparator for a sort choice; ties go by title
+     */
+    _comparator(sort) {
+        const byTitle = (a, b) => this._collator.compare(a.title, b.title);
+        const lastRead = (file) => this.bookmarks[file.id]?.lastRead || file.addedDate;
+        // Finished books have nothing left and go last
+        const remaining = (file) => (this._readingState(file) === 'finished' ? Infinity : this._wordsRemaining(file));
+
+        const compare = {
+            title: () => 0,
+            // Books without an author go last
+            author: (a, b) => (!a.author - !b.author) || this._collator.compare(a.author || '', b.author || ''),
+            added: (a, b) => b.addedDate - a.addedDate,
+            progress: (a, b) => (this.bookmarks[b.id]?.progress || 0) - (this.bookmarks[a.id]?.progress || 0),
+            words: (a, b) => (a.wordCount || 0) - (b.wordCount || 0),
+            remaining: (a, b) => remaining(a) - remaining(b) || 0,
+        }[sort] || ((a, b) => lastRead(b) - lastRead(a));
+
+        return (a, b) => compare(a, b) || byTitle(a, b);
+    }
+
+    /**
+     * 'unread', 'reading' or 'finished'
+     */
+    _readingState(file) {
+        const bookmark = this.bookmarks[file.id];
+        if (!bookmark || !bookmark.wordIndex) return 'unread';
+        return bookmark.progress >= 100 ? 'finished' : 'reading';
+    }
+
+    _wordsRemaining(file) {
+        return Math.max(0, (file.wordCount || 0) - (this.bookmarks[file.id]?.wordIndex || 0));
+    }
+
+    /**
+     * Offer only the formats that are in the library
+     */
+    _renderFormatOptions() {
+        const select = document.getElementById('library-filter-format');
+        if (!select) return;
+
+        const formats = [...new Set(this.files.map(f => f.type))].sort();
+        if (this.filters.format && !formats.includes(this.filters.format)) {
+            this.filters.format = '';
+        }
+        select.innerHTML = '<option value="">All formats</option>' + formats
+            .map(type => `<option value="${this._escapeHtml(type)}">${this._escapeHtml(type.toUpperCase())}</option>`)
+            .join('');
+        select.value = this.filters.format;
+    }
+
+    _bindControls() {
+        document.getElementById('library-search')?.addEventListener('input', (e) => {
+            this.query = e.target.value;
+            this.render();
+        });
+
+        for (const key of ['format', 'state', 'length']) {
+            document.getElementById(`library-filter-${key}`)?.addEventListener('change', (e) => {
+                this.filters[key] = e.target.value;
+                this.render();
+            });
+        }
+
+        document.getElementById('library-sort')?.addEventListener('change', async (e) => {
+            await settings.set('librarySort', e.target.value);
+            this.render();
+        });
+    }
+
+    /**
+     * Lowercase without accents, for matching search terms
+     */
+    _fold(text) {
+        return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
     async handleFileUpload(fileInput) {
         const files = fileInput.files;
         if (!files || files.length === 0) return;
@@ -105,8 +244,7 @@ class Library {
         for (const file of files) {
             try {
                 // Show loading state
-                // Show loading state
-                app.showToast(`Reading ${file.name}...`, 'info');
+                app.showProgress(`Reading ${file.name}`);
 
                 // 1. Read the file into an ArrayBuffer once
                 // This prevents issues with double-reading streams on mobile/iOS
@@ -116,13 +254,13 @@ class Library {
                     throw new Error('File is empty. If this is from iCloud, please ensure it is downloaded first.');
                 }
 
-                app.showToast(`Parsing ${file.name}...`, 'info');
-
                 // 2. Parse using the buffer
-                const parsed = await fileParser.parse(arrayBuffer, file.name);
+                const encoding = settings.current.importEncoding || undefined;
+                const parsed = await this.parseFile(arrayBuffer, file.name, { encoding });
+                if (!parsed) continue;
 
                 // 3. Store in IndexedDB using the same buffer
-                await db.addFile({
+                const fileId = await db.addFile({
                     name: file.name,
                     type: parsed.format,
                     blob: new Blob([arrayBuffer]),
@@ -130,10 +268,24 @@ class Library {
                     author: parsed.author,
                     wordCount: parsed.wordCount,
                     fileSize: file.size,
+                    recovered: parsed.skipped?.length > 0,
+                    encoding,
                 });
-
-                app.showToast(`Added "${parsed.title}" to library`, 'success');
+                await this.cacheParsed(fileId, parsed);
+
+                if (parsed.skipped?.length > 0) {
+                    app.showToast(`Added "${parsed.title}" — ${parsed.skipped.length} damaged section${parsed.skipped.length === 1 ? '' : 's'} skipped`, 'warning');
+                } else if (parsed.encodingConfidence < 0.5) {
+                    app.showToast(`Added "${parsed.title}" — guessed ${parsed.encoding} encoding; change it in Settings if the text looks wrong`, 'warning');
+                } else {
+                    app.showToast(`Added "${parsed.title}" to library`, 'success');
+                }
             } catch (err) {
+                if (err.code === 'cancelled') {
+                    // Cancelling stops the rest of the batch too
+                    app.showToast('Import cancelled', 'info');
+                    break;
+                }
                 console.error('Error parsing file:', err);
                 app.showToast(`Failed to add ${file.name}: ${err.message}`, 'error');
             }
@@ -146,6 +298,142 @@ class Library {
         await this.refresh();
     }
 
+    /**
+     * Download a backup of the whole library
+     */
+    async exportBackup() {
+        try {
+            app.showToast('Preparing backup...', 'info');
+            const { files } = await libraryBackup.exportLibrary();
+            app.showToast(`Backed up ${files} book${files === 1 ? '' : 's'}`, 'success');
+        } catch (err) {
+            console.error('Backup failed:', err);
+            app.showToast(`Backup failed: ${err.message}`, 'error');
+        }
+    }
+
+    /**
+     * Restore a backup chosen in `fileInput`
+     * @param {'merge'|'replace'} mode
+     */
+    async restoreBackup(fileInput, mode) {
+        const file = fileInput.files?.[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        if (mode === 'replace' && !confirm('Replace your library with this backup? Every book, bookmark and setting on this device will be removed first.')) {
+            return;
+        }
+
+        try {
+            app.showToast(`Restoring ${file.name}...`, 'info');
+            const { added, duplicates } = await libraryBackup.importLibrary(file, mode);
+            await settings.load();
+            await this.refresh();
+
+            const skipped = duplicates > 0 ? `, ${duplicates} already in your library` : '';
+            app.showToast(`Restored ${added} book${added === 1 ? '' : 's'}${skipped}`, 'success');
+        } catch (err) {
+            console.error('Restore failed:', err);
+            app.showToast(`Restore failed: ${err.message}`, 'error');
+        }
+    }
+
+    /**
+     * Sync reading progress and settings with the sync server. Never
+     * rejects: failures are reported with a toast.
+     * @param {boolean} [quiet] - background sync: skip it when no sync key
+     *   is set, don't report success, and report a failure only once until
+     *   a sync succeeds again
+     */
+    async sync(quiet = false) {
+        const { syncServer, syncKey } = settings.current;
+        if (!syncKey) {
+            if (!quiet) app.showToast('Enter a sync key first', 'error');
+            return;
+        }
+        if (this._syncing) return;
+
+        this._syncing = true;
+        try {
+            const { pulled } = await db.sync({ server: syncServer, key: syncKey });
+            if (pulled > 0) {
+                await settings.load();
+                if (!reader.currentFile) await this.refresh();
+            }
+            this._syncFailed = false;
+            if (!quiet) app.showToast('Synced', 'success');
+        } catch (err) {
+            console.warn('Sync failed:', err);
+            if (!quiet || !this._syncFailed) app.showToast(`Sync failed: ${err.message}`, 'error');
+            this._syncFailed = true;
+        } finally {
+            this._syncing = false;
+        }
+    }
+
+    /**
+     * Keep a parsed document so the book opens without parsing again.
+     * Password-protected documents are not cached, so their text is never
+     * stored unencrypted. A failed write only costs a reparse later.
+     */
+    async cacheParsed(fileId, parsed) {
+        if (parsed.encrypted) return;
+        try {
+            await db.saveParsed(fileId, parsed, fileParser.version);
+        } catch (err) {
+            console.warn('Failed to cache parsed document:', err);
+        }
+    }
+
+    /**
+     * Parse a file, asking the user for a password or for permission to
+     * skip damaged sections when the parser reports it needs one.
+     * Progress is shown while it runs. Resolves to null if the user
+     * declines a prompt; throws a 'cancelled' ParseError if they cancel
+     * the parse itself.
+     * @param {ArrayBuffer} buffer
+     * @param {string} name
+     * @param {Object} [options] - passed through to fileParser.parse
+     */
+    async parseFile(buffer, name, options = {}) {
+        const parseOptions = {
+            ...options,
+            onProgress: (progress) => app.showProgress(`Parsing ${name}`, progress),
+        };
+
+        for (;;) {
+            try {
+                app.showProgress(`Parsing ${name}`);
+                return await parseService.parse(buffer, name, parseOptions);
+            } catch (err) {
+                if (!(err instanceof ParseError)) throw err;
+
+                if (err.code === 'encrypted' && err.details.needsPassword) {
+                    const message = err.details.incorrectPassword
+                        ? `Incorrect password for ${name}. Try again:`
+                        : `${name} is password-protected. Enter the password:`;
+                    const password = prompt(message);
+                    if (password === null) return null;
+                    parseOptions.password = password;
+                    continue;
+                }
+
+                if (err.code === 'corrupt' && err.details.recoverable && !parseOptions.recover) {
+                    const sections = err.details.skipped.map(s => `  • ${s.href}`).join('\n');
+                    const proceed = confirm(`${name} is partly damaged. ${err.message}:\n\n${sections}\n\nOpen it without these sections?`);
+                    if (!proceed) return null;
+                    parseOptions.recover = true;
+                    continue;
+                }
+
+                throw err;
+            } finally {
+                app.hideProgress();
+            }
+        }
+    }
+
     async _openFile(fileId) {
         if (this.onFileOpen) {
             this.onFileOpen(fileId);
@@ -0,0 +1,118 @@
+/* ============================================
+   SnapRead — Parse Service
+   Sends files to the parse worker when their
+   format allows it, with progress and cancel
+   ============================================ */
+
+class ParseService {
+    constructor() {
+        this._worker = null;
+        this._nextId = 1;
+        this._pending = null; // { id, resolve, reject, onProgress } for the running worker job
+        this._controller = null; // AbortController for a running main-thread parse
+    }
+
+    /**
+     * Parse a file off the main thread when possible
+     * @param {ArrayBuffer} buffer - not transferred; the caller keeps it
+     * @param {string} name
+     * @param {Object} [options] - fileParser.parse options; onProgress is
+     *   called with { current, total, unit }
+     * @returns {Promise<Object>} Parsed document
+     * @throws {ParseError} code 'cancelled' after cancel()
+     */
+    async parse(buffer, name, options = {}) {
+        if (this.isBusy()) {
+            throw new Error('Another file is already being parsed');
+        }
+        if (typeof Worker === 'function' && fileParser.canParseInWorker(name)) {
+            return this._parseInWorker(buffer, name, options);
+        }
+
+        // epub.js and DOMParser need the DOM; fileParser yields between
+        // sections so the page stays responsive
+        this._controller = new AbortController();
+        try {
+            return await fileParser.parse(buffer, name, { ...options, signal: this._controller.signal });
+        } finally {
+            this._controller = null;
+        }
+    }
+
+    /**
+     * Whether a parse is running
+     */
+    isBusy() {
+        return this._pending !== null || this._controller !== null;
+    }
+
+    /**
+     * Stop the running parse. A worker parse is stopped by terminating
+     * the worker; a main-thread parse stops at its next progress check.
+     */
+    cancel() {
+        if (this._pending) {
+            const { reject } = this._pending;
+            this._pending = null;
+            this._worker.terminate();
+            this._worker = null;
+            reject(new ParseError('cancelled', 'Parsing was cancelled'));
+        }
+        this._controller?.abort();
+    }
+
+    _parseInWorker(buffer, name, { onProgress, ...options }) {
+        if (!this._worker) {
+            this._worker = new Worker('js/parse-worker.js');
+            this._worker.onmessage = (event) => this._onMessage(event.data);
+            this._worker.onerror = (event) => {
+                event.preventDefault();
+                this._fail(new Error(event.message || 'The parse worker crashed'));
+            };
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this._nextId++;
+            this._pending = { id, resolve, reject, onProgress };
+
+            // Hand the worker its own copy so the caller can still store the file
+            const copy = buffer.slice(0);
+            this._worker.postMessage({ id, buffer: copy, name, options }, [copy]);
+        });
+    }
+
+    _onMessage({ id, type, progress, doc, error }) {
+        const job = this._pending;
+        if (!job || job.id !== id) return;
+
+        switch (type) {
+            case 'progress':
+                job.onProgress?.(progress);
+                break;
+            case 'done':
+                this._pending = null;
+                job.resolve(doc);
+                break;
+            case 'error':
+                this._pending = null;
+                job.reject(error.name === 'ParseError'
+                    ? new ParseError(error.code, error.message, error.details)
+                    : new Error(error.message));
+                break;
+        }
+    }
+
+    /**
+     * Reject the running job and start a fresh worker next time
+     */
+    _fail(err) {
+        const job = this._pending;
+        this._pending = null;
+        this._worker?.terminate();
+        this._worker = null;
+        job?.reject(err);
+    }
+}
+
+// Export singleton
+const parseService = new ParseService();
@@ -0,0 +1,42 @@
+/* ============================================
+   SnapRead — Parse Worker
+   Runs FileParser off the main thread for
+   formats that don't need the DOM
+   ============================================ */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    // Provides the in-thread PDF worker, so pdf.js doesn't spawn another one
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js',
+    'encoding-detector.js',
+    'sentence-segmenter.js',
+    'file-parser.js'
+);
+
+pdfjsLib.GlobalWorkerOptions.workerSrc = 'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js';
+
+/**
+ * Messages in:  { id, buffer, name, options }
+ * Messages out: { id, type: 'progress', progress }
+ *               { id, type: 'done', doc }
+ *               { id, type: 'error', error: { name, code, message, details } }
+ */
+self.onmessage = async (event) => {
+    const { id, buffer, name, options } = event.data;
+
+    try {
+        const doc = await fileParser.parse(buffer, name, {
+            ...options,
+            onProgress: (progress) => self.postMessage({ id, type: 'progress', progress }),
+        });
+        self.postMessage({ id, type: 'done', doc });
+    } catch (err) {
+        // Errors and their causes don't survive structured cloning everywhere
+        const { cause, ...details } = err.details || {};
+        self.postMessage({
+            id,
+            type: 'error',
+            error: { name: err.name, code: err.code, message: err.message || String(err), details },
+        });
+    }
+};
@@ -0,0 +1,194 @@
+/* ============================================
+   SnapRead — Position Anchors
+   Content-based reading positions that survive
+   changes to tokenizing and text extraction
+   ============================================ */
+
+// Characters of normalized text kept on each side of an anchored word
+const ANCHOR_CONTEXT_CHARS = 32;
+
+// Shortest fingerprint worth searching for on its own
+const ANCHOR_MIN_NEEDLE_CHARS = 6;
+
+// Matches looked at per search; the closest to the expected spot wins
+const ANCHOR_MAX_CANDIDATES = 1000;
+
+class PositionAnchor {
+    constructor() {
+        // Normalized text of each document searched, shared by the bookmark
+        // and every annotation resolved in it
+        this._texts = new WeakMap();
+    }
+
+    /**
+     * Describe word `index` of a document by its content, in the spirit of
+     * an EPUB CFI with a text assertion: the chapter it is in, the offset
+     * within that chapter, and the text just before and after it.
+     * The text is normalized to letters and digits, so it doesn't depend
+     * on where the tokenizer splits words or what markup it strips.
+     * @param {Object} doc - parsed document
+     * @param {number} index - word index
+     * @returns {{ chapter: { index: number, title: string }|null, offset: number, before: string, after: string }}
+     */
+    create(doc, index) {
+        const words = doc.words;
+        index = Math.max(0, Math.min(index, words.length - 1));
+        const chapterIndex = this._chapterIndexAt(doc.chapters || [], index);
+        const chapter = chapterIndex >= 0 ? doc.chapters[chapterIndex] : null;
+        return {
+            chapter: chapter ? { index: chapterIndex, title: chapter.title } : null,
+            offset: index - (chapter ? chapter.startWordIndex : 0),
+            before: this._textBefore(words, index),
+            after: this._textAfter(words, index),
+        };
+    }
+
+    /**
+     * Find an anchored position in a (possibly re-parsed) document
+     * @param {Object} doc - parsed document
+     * @param {Object|null} anchor - from create(); records saved before
+     *   anchors existed have none
+     * @param {number} fallback - the word index stored with the anchor
+     * @returns {number} Word index
+     */
+    resolve(doc, anchor, fallback = 0) {
+        const words = doc.words;
+        const clamp = (i) => Math.max(0, Math.min(i, words.length - 1));
+        if (!anchor || words.length === 0) return clamp(fallback);
+
+        // Still where it was: the usual case when nothing changed
+        if (this._matchesAt(words, clamp(fallback), anchor)) return clamp(fallback);
+
+        // Look in the anchored chapter first, then in the whole book
+        const chapter = this._findChapter(doc.chapters || [], anchor.chapter);
+        if (chapter) {
+            const expected = chapter.start + anchor.offset;
+            const found = this._search(doc, chapter.start, chapter.end, anchor, expected);
+            if (found !== null) return found;
+        }
+        const expected = chapter ? chapter.start + anchor.offset : fallback;
+        const found = this._search(doc, 0, words.length, anchor, expected);
+        return clamp(found !== null ? found : expected);
+    }
+
+    _matchesAt(words, index, anchor) {
+        return this._textAfter(words, index) === anchor.after
+            && this._textBefore(words, index) === anchor.before;
+    }
+
+    /**
+     * The anchored chapter's word range in this document: the chapter at
+     * the same position if its title still matches, else the first one
+     * with that title
+     */
+    _findChapter(chapters, ref) {
+        if (!ref) return null;
+        let index = chapters[ref.index]?.title === ref.title ? ref.index : -1;
+        if (index < 0) index = chapters.findIndex(c => c.title === ref.title);
+        if (index < 0) return null;
+
+        const start = chapters[index].startWordIndex;
+        const next = chapters.slice(index + 1).find(c => c.startWordIndex > start);
+        return { start, end: next ? next.startWordIndex : Infinity };
+    }
+
+    /**
+     * Search words `from`..`to` for the anchor's text. Both sides together
+     * are tried first, then each side alone; among several matches the one
+     * closest to `expected` wins.
+     * @returns {number|null} Word index, or null if the text isn't there
+     */
+    _search(doc, from, to, anchor, expected) {
+        const { text, starts } = this._normalizedText(doc);
+        to = Math.min(to, starts.length);
+        if (from >= to) return null;
+        const begin = starts[from];
+        const end = to < starts.length ? starts[to] : text.length;
+
+        const attempts = [
+            [anchor.before + anchor.after, anchor.before.length],
+            [anchor.after, 0],
+            [anchor.before, anchor.before.length],
+        ];
+        for (const [needle, shift] of attempts) {
+            if (needle.length < ANCHOR_MIN_NEEDLE_CHARS) continue;
+
+            let best = null;
+            let count = 0;
+            for (let pos = text.indexOf(needle, begin); pos !== -1 && pos + needle.length <= end && count < ANCHOR_MAX_CANDIDATES; pos = text.indexOf(needle, pos + 1)) {
+                count++;
+                const index = Math.min(this._wordAtOffset(starts, pos + shift), to - 1);
+                if (best === null || Math.abs(index - expected) < Math.abs(best - expected)) best = index;
+            }
+            if (best !== null) return best;
+        }
+        return null;
+    }
+
+    /**
+     * The document's normalized text, and where each word starts in it
+     * @returns {{ text: string, starts: number[] }}
+     */
+    _normalizedText(doc) {
+        let normalized = this._texts.get(doc);
+        if (!normalized) {
+            const starts = new Array(doc.words.length);
+            const parts = new Array(doc.words.length);
+            let length = 0;
+            doc.words.forEach((word, i) => {
+                starts[i] = length;
+                parts[i] = this._normalize(word.text);
+                length += parts[i].length;
+            });
+            normalized = { text: parts.join(''), starts };
+            this._texts.set(doc, normalized);
+        }
+        return normalized;
+    }
+
+    /**
+     * Index of the word whose text contains character `offset`
+     */
+    _wordAtOffset(starts, offset) {
+        let lo = 0;
+        let hi = starts.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (starts[mid] <= offset) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    _textBefore(words, index) {
+        let text = '';
+        for (let i = index - 1; i >= 0 && text.length < ANCHOR_CONTEXT_CHARS; i--) {
+            text = this._normalize(words[i].text) + text;
+        }
+        return text.slice(-ANCHOR_CONTEXT_CHARS);
+    }
+
+    _textAfter(words, index) {
+        let text = '';
+        for (let i = index; i < words.length && text.length < ANCHOR_CONTEXT_CHARS; i++) {
+            text += this._normalize(words[i].text);
+        }
+        return text.slice(0, ANCHOR_CONTEXT_CHARS);
+    }
+
+    _normalize(text) {
+        return text.normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    }
+
+    _chapterIndexAt(chapters, index) {
+        let found = -1;
+        for (let i = 0; i < chapters.length; i++) {
+            if (chapters[i].startWordIndex > index) break;
+            found = i;
+        }
+        return found;
+    }
+}
+
+// Export singleton
+const positionAnchor = new PositionAnchor();
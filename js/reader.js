@@ -9,6 +9,8 @@ class Reader {
         this.parsedDoc = null;
         this.mode = 'rsvp'; // 'rsvp' or 'normal'
         this._boundHandlers = {};
+        this._currentTocIndex = -1;
+        this._displayedIndex = 0; // first word on screen in RSVP mode
     }
 
     /**
@@ -21,18 +23,40 @@ class Reader {
             return;
         }
 
-        this.currentFile = fileRecord;
+        // Use the cached parse if the parser hasn't changed since; otherwise
+        // parse the file. Books imported with damaged sections skipped
+        // reopen the same way without asking again.
+        let parsed = await db.getParsed(fileId, fileParser.version).catch(() => null);
+        try {
+            if (!parsed) {
+                const buffer = await fileRecord.blob.arrayBuffer();
+                parsed = await library.parseFile(buffer, fileRecord.name, {
+                    language: fileRecord.language,
+                    encoding: fileRecord.encoding,
+                    recover: fileRecord.recovered,
+                });
+                if (parsed) await library.cacheParsed(fileId, parsed);
+            }
+        } catch (err) {
+            if (err.code === 'cancelled') return;
+            console.error('Error opening file:', err);
+            app.showToast(`Couldn't open ${fileRecord.title}: ${err.message}`, 'error');
+            return;
+        }
+        if (!parsed) return;
 
-        // Parse the file
-        const file = new File([fileRecord.blob], fileRecord.name);
-        this.parsedDoc = await fileParser.parse(file);
+        this.currentFile = fileRecord;
+        this.parsedDoc = parsed;
+        await annotations.load(fileId);
 
-        // Load bookmark
+        // Load bookmark, finding its words again if the text was re-parsed
+        // differently since it was saved
         const bookmark = await db.getBookmark(fileId);
-        const startIndex = bookmark ? bookmark.wordIndex : 0;
+        const startIndex = bookmark ? positionAnchor.resolve(parsed, bookmark.anchor, bookmark.wordIndex) : 0;
 
         // Load into RSVP engine
-        rsvpEngine.load(this.parsedDoc.words, startIndex);
+        rsvpEngine.load(this.parsedDoc.words, startIndex, this.parsedDoc.chapters);
+        this._displayedIndex = startIndex;
 
         // Set up the reader UI
         this._setupUI();
@@ -55,12 +79,23 @@ class Reader {
         // Title
         document.getElementById('reader-book-title').textContent = this.parsedDoc.title;
 
+        // Script direction and language for both display modes
+        for (const id of ['rsvp-word', 'normal-reader']) {
+            const el = document.getElementById(id);
+            if (!el) continue;
+            el.dir = this.parsedDoc.direction || 'ltr';
+            el.lang = this.parsedDoc.language || '';
+        }
+
         // Set mode buttons
         this._updateModeButtons();
 
         // Render normal reading text
         this._renderNormalText();
 
+        // Table of contents
+        this._renderToc();
+
         // Update progress
         this._updateProgress(rsvpEngine.getProgress());
 
@@ -80,11 +115,15 @@ class Reader {
         this._boundHandlers.onProgress = (data) => this._updateProgress(data);
         this._boundHandlers.onPause = (data) => this._onPause(data);
         this._boundHandlers.onEnd = () => this._onEnd();
+        this._boundHandlers.onChapterEnd = (data) => this._onChapterEnd(data);
+        this._boundHandlers.onSpeedChange = () => this._updateTocTimes();
 
         rsvpEngine.on('word', this._boundHandlers.onWord);
         rsvpEngine.on('progress', this._boundHandlers.onProgress);
         rsvpEngine.on('pause', this._boundHandlers.onPause);
         rsvpEngine.on('end', this._boundHandlers.onEnd);
+        rsvpEngine.on('chapterEnd', this._boundHandlers.onChapterEnd);
+        rsvpEngine.on('speedChange', this._boundHandlers.onSpeedChange);
 
         // Keyboard shortcuts
         this._boundHandlers.onKeydown = (e) => this._handleKeydown(e);
@@ -97,6 +136,8 @@ class Reader {
             rsvpEngine.off('progress', this._boundHandlers.onProgress);
             rsvpEngine.off('pause', this._boundHandlers.onPause);
             rsvpEngine.off('end', this._boundHandlers.onEnd);
+            rsvpEngine.off('chapterEnd', this._boundHandlers.onChapterEnd);
+            rsvpEngine.off('speedChange', this._boundHandlers.onSpeedChange);
         }
         if (this._boundHandlers.onKeydown) {
             document.removeEventListener('keydown', this._boundHandlers.onKeydown);
@@ -112,6 +153,10 @@ class Reader {
         const container = document.getElementById('rsvp-word');
         if (!container) return;
 
+        this._displayedIndex = data.index;
+        container.classList.toggle('is-heading', data.heading > 0);
+        container.classList.toggle('is-emphasis', !!data.emphasis);
+
         // Three-column layout: before (right-aligned) | ORP (center) | after (left-aligned)
         let html = '';
         html += `<span class="orp-before">${this._escapeHtml(data.before)}</span>`;
@@ -130,6 +175,7 @@ class Reader {
     _showIdleState() {
         const container = document.getElementById('rsvp-word');
         if (container) {
+            container.classList.remove('is-heading', 'is-emphasis');
             container.innerHTML = '<span class="rsvp-idle-message">Press play to start reading</span>';
         }
     }
@@ -145,7 +191,13 @@ class Reader {
         if (progressPercent) progressPercent.textContent = Math.round(data.percent) + '%';
         if (progressWords) progressWords.textContent = `${data.current} / ${data.total} words`;
         if (timeRemaining) timeRemaining.textContent = data.timeRemaining + ' left';
-        if (statWpm) statWpm.textContent = rsvpEngine.wpm;
+        this._updateTocCurrent(data.chapter ? data.chapter.index : -1);
+
+        if (statWpm) {
+            // Show the measured rate while playing, the target rate otherwise
+            statWpm.textContent = data.effectiveWpm || rsvpEngine.wpm;
+            statWpm.title = `Target: ${rsvpEngine.wpm} WPM`;
+        }
     }
 
     async _onPause(data) {
@@ -166,11 +218,17 @@ class Reader {
         await this._saveBookmark();
     }
 
+    _onChapterEnd(data) {
+        const title = data.chapter ? `"${data.chapter.title}"` : 'chapter';
+        app.showToast(`End of ${title} — press Space to continue`, 'info');
+    }
+
     async _saveBookmark() {
         if (!this.currentFile || !this.parsedDoc) return;
         await db.saveBookmark(this.currentFile.id, {
             wordIndex: rsvpEngine.currentIndex,
             totalWords: this.parsedDoc.words.length,
+            anchor: positionAnchor.create(this.parsedDoc, rsvpEngine.currentIndex),
         });
     }
 
@@ -192,11 +250,27 @@ class Reader {
                 break;
             case 'ArrowLeft':
                 e.preventDefault();
-                rsvpEngine.rewind();
+                if (e.shiftKey) {
+                    rsvpEngine.prevParagraph();
+                } else {
+                    rsvpEngine.rewind();
+                }
                 break;
             case 'ArrowRight':
                 e.preventDefault();
-                rsvpEngine.skip();
+                if (e.shiftKey) {
+                    rsvpEngine.nextParagraph();
+                } else {
+                    rsvpEngine.skip();
+                }
+                break;
+            case 'PageUp':
+                e.preventDefault();
+                rsvpEngine.prevChapter();
+                break;
+            case 'PageDown':
+                e.preventDefault();
+                rsvpEngine.nextChapter();
                 break;
             case 'ArrowUp':
                 e.preventDefault();
@@ -213,9 +287,43 @@ class Reader {
             case 'Escape':
                 rsvpEngine.pause();
                 break;
+            case 'KeyH':
+                if (e.ctrlKey || e.metaKey || e.altKey) return;
+                e.preventDefault();
+                annotations.flagSentence(this._displayedIndex);
+                break;
+            case 'KeyB':
+                if (e.ctrlKey || e.metaKey || e.altKey) return;
+                e.preventDefault();
+                annotations.addBookmark(this._displayedIndex);
+                break;
         }
     }
 
+    /**
+     * Override the language of the open book and re-tokenize it.
+     * An empty string goes back to auto-detection.
+     */
+    async setLanguage(language) {
+        if (!this.currentFile) return;
+        rsvpEngine.pause();
+        await db.updateFile(this.currentFile.id, { language: language || null });
+        await db.deleteParsed(this.currentFile.id);
+        await this.open(this.currentFile.id);
+    }
+
+    /**
+     * Re-read the open book with a different text encoding.
+     * An empty string goes back to auto-detection.
+     */
+    async setEncoding(encoding) {
+        if (!this.currentFile) return;
+        rsvpEngine.pause();
+        await db.updateFile(this.currentFile.id, { encoding: encoding || null });
+        await db.deleteParsed(this.currentFile.id);
+        await this.open(this.currentFile.id);
+    }
+
     /**
      * Toggle between RSVP and normal reading mode
      */
@@ -243,34 +351,36 @@ class Reader {
     }
 
     /**
-     * Render full text for normal reading mode
+     * Render full text for normal reading mode.
+     * Built from the token stream so every span's index matches the engine.
      */
     _renderNormalText() {
         const container = document.getElementById('normal-reader');
         if (!container || !this.parsedDoc) return;
 
-        const text = this.parsedDoc.fullText || this.parsedDoc.words.join(' ');
-        const paragraphs = text.split(/\n\s*\n/);
-
-        let wordIdx = 0;
+        const words = this.parsedDoc.words;
         let html = '';
+        let blockTag = null;
 
-        for (const para of paragraphs) {
-            const trimmed = para.trim();
-            if (!trimmed) continue;
+        for (let wordIdx = 0; wordIdx < words.length; wordIdx++) {
+            const token = words[wordIdx];
 
-            html += '<p>';
-            const words = trimmed.split(/\s+/);
-            for (const word of words) {
-                if (word) {
-                    html += `<span class="word" data-word-idx="${wordIdx}">${this._escapeHtml(word)}</span> `;
-                    wordIdx++;
-                }
+            if (!blockTag) {
+                blockTag = token.heading > 0 ? `h${token.heading}` : 'p';
+                html += `<${blockTag}>`;
+            }
+
+            const cls = token.emphasis ? 'word emphasis' : 'word';
+            html += `<span class="${cls}" data-word-idx="${wordIdx}">${this._escapeHtml(token.text)}</span> `;
+
+            if (token.paragraphEnd || wordIdx === words.length - 1) {
+                html += `</${blockTag}>`;
+                blockTag = null;
             }
-            html += '</p>';
         }
 
         container.innerHTML = html;
+        annotations.decorate();
 
         // Add click-to-seek on words
         container.querySelectorAll('.word').forEach(el => {
@@ -305,6 +415,94 @@ class Reader {
         }
     }
 
+    // --- Table of Contents ---
+
+    /**
+     * Open or close the table of contents panel
+     */
+    toggleToc(open) {
+        const panel = document.getElementById('toc-panel');
+        if (!panel) return;
+        const isOpen = open !== undefined ? open : !panel.classList.contains('open');
+        panel.classList.toggle('open', isOpen);
+        document.getElementById('btn-toc')?.setAttribute('aria-expanded', String(isOpen));
+        if (isOpen) {
+            panel.querySelector('.toc-item.current')?.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Render the chapter list. Entries are indented by level and show
+     * their length; a chapter's length includes its sub-chapters.
+     */
+    _renderToc() {
+        const list = document.getElementById('toc-list');
+        if (!list || !this.parsedDoc) return;
+
+        const chapters = rsvpEngine.chapters;
+        const total = this.parsedDoc.words.length;
+        this._tocWordCounts = chapters.map((chapter, i) => {
+            const level = chapter.level || 1;
+            const next = chapters.slice(i + 1).find(c => (c.level || 1) <= level);
+            return (next ? next.startWordIndex : total) - chapter.startWordIndex;
+        });
+
+        list.innerHTML = chapters.map((chapter, i) => {
+            const indent = ((chapter.level || 1) - 1) * 16;
+            return `
+        <li class="toc-item" data-toc-idx="${i}" style="padding-left: calc(var(--space-lg) + ${indent}px)">
+          <span class="toc-title">${this._escapeHtml(chapter.title)}</span>
+          <span class="toc-meta"></span>
+        </li>`;
+        }).join('');
+
+        list.querySelectorAll('.toc-item').forEach(el => {
+            el.addEventListener('click', () => {
+                this.goTo(chapters[parseInt(el.dataset.tocIdx)].startWordIndex);
+            });
+        });
+
+        this._currentTocIndex = -1;
+        this._updateTocTimes();
+        this._updateTocCurrent(rsvpEngine.getProgress().chapter?.index ?? -1);
+    }
+
+    /**
+     * Refresh word counts and reading times (they depend on the WPM)
+     */
+    _updateTocTimes() {
+        const list = document.getElementById('toc-list');
+        if (!list || !this._tocWordCounts) return;
+
+        list.querySelectorAll('.toc-item').forEach(el => {
+            const count = this._tocWordCounts[parseInt(el.dataset.tocIdx)];
+            el.querySelector('.toc-meta').textContent =
+                `${count.toLocaleString()} words · ${rsvpEngine.estimateTime(count)}`;
+        });
+    }
+
+    /**
+     * Mark the chapter currently being read
+     */
+    _updateTocCurrent(index) {
+        if (index === this._currentTocIndex) return;
+        this._currentTocIndex = index;
+
+        document.querySelectorAll('#toc-list .toc-item').forEach(el => {
+            el.classList.toggle('current', parseInt(el.dataset.tocIdx) === index);
+        });
+    }
+
+    /**
+     * Move to a word and remember the position
+     */
+    goTo(index) {
+        rsvpEngine.jumpTo(index);
+        this._displayedIndex = rsvpEngine.currentIndex;
+        if (this.mode === 'normal') this._scrollToCurrentWord();
+        this._saveBookmark();
+    }
+
     /**
      * Handle progress bar click for seeking
      */
@@ -327,10 +525,13 @@ class Reader {
         await this._saveBookmark();
         rsvpEngine.stop();
         this._unbindEvents();
+        this.toggleToc(false);
+        annotations.close();
         this.currentFile = null;
         this.parsedDoc = null;
         app.navigateTo('library');
-        library.refresh();
+        await library.refresh();
+        library.sync(true);
     }
 
     // --- Helpers ---
@@ -4,6 +4,49 @@
    punctuation-aware timing, and event system
    ============================================ */
 
+// Window over which the delivered reading rate is measured
+const EFFECTIVE_WPM_WINDOW_MS = 10000;
+
+// If a tick is later than this (e.g. a throttled background tab),
+// the timeline is re-anchored instead of flashing words to catch up
+const MAX_CATCH_UP_MS = 1000;
+
+// Smart chunking: a chunk may exceed its target width by this factor
+// to keep a function word together with the word it introduces
+const CHUNK_OVERFLOW_FACTOR = 1.6;
+
+// Tokens longer than this are shown in segments of at most SEGMENT_MAX_LENGTH
+const SEGMENT_THRESHOLD = 13;
+const SEGMENT_MAX_LENGTH = 9;
+
+// Ideographic and syllabic scripts: a word is fixated at its centre
+const CENTRE_FIXATION_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Scripts whose letters join, so split spans need zero-width joiners
+const JOINING_SCRIPT_RE = /[\p{Script=Arabic}\p{Script=Syriac}\p{Script=Nko}\p{Script=Mongolian}]/u;
+
+// Word lengths, in letters, below and above which a word is shown
+// shorter or longer. Han, kana and Hangul pack a word into a few
+// characters, so they are measured on their own scale.
+const SHORT_WORD_LENGTH = 3;
+const LONG_WORD_LENGTH = 8;
+const SHORT_COMPACT_WORD_LENGTH = 1;
+const LONG_COMPACT_WORD_LENGTH = 4;
+
+// Characters rendered roughly two columns wide
+const WIDE_CHAR_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/u;
+
+// Words that introduce the next word and should never end a chunk
+const FUNCTION_WORDS = new Set([
+    'a', 'an', 'the', 'this', 'that', 'these', 'those',
+    'my', 'your', 'his', 'her', 'its', 'our', 'their',
+    'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into', 'onto',
+    'upon', 'about', 'over', 'under', 'after', 'before', 'between', 'through',
+    'and', 'or', 'but', 'nor', 'so', 'if', 'as', 'than', 'not', 'no',
+    'very', 'more', 'most', 'will', 'would', 'can', 'could', 'shall', 'should',
+    'may', 'might', 'must', 'is', 'are', 'was', 'were', 'be', 'been', 'has', 'have', 'had',
+]);
+
 class RSVPEngine {
     constructor() {
         // State
@@ -13,9 +56,21 @@ class RSVPEngine {
         this.isPaused = false;
         this.timerId = null;
 
+        // Scheduler timeline (performance.now() based)
+        this._nextTickAt = 0;
+        this._tickLog = []; // [{ at, words }] for effective WPM
+
+        // Segment of a long token currently on screen
+        this._segmentIndex = 0;
+
         // Settings
         this.wpm = 300;
-        this.chunkSize = 1;
+        this.chunkSize = 1; // 1–3 words, or 'auto' for phrase-aware chunks
+        this.chunkWidth = 14; // target characters per chunk in 'auto' mode
+        this.pauseAtChapterEnd = false;
+
+        // Navigation structure
+        this.chapters = []; // [{ title, startWordIndex, level }]
 
         // Event listeners
         this._listeners = {};
@@ -24,13 +79,16 @@ class RSVPEngine {
     // --- PUBLIC API ---
 
     /**
-     * Load a word array for playback
-     * @param {string[]} words
+     * Load a token stream for playback
+     * @param {Object[]} words — tokens from FileParser ({ text, sentenceEnd, ... })
      * @param {number} [startIndex=0] — resume from bookmark
+     * @param {Object[]} [chapters] — chapter list from FileParser
      */
-    load(words, startIndex = 0) {
+    load(words, startIndex = 0, chapters = []) {
         this.words = words;
+        this.chapters = [...chapters].sort((a, b) => a.startWordIndex - b.startWordIndex);
         this.currentIndex = Math.min(startIndex, words.length - 1);
+        this._segmentIndex = 0;
         this.isPlaying = false;
         this.isPaused = false;
         this._clearTimer();
@@ -48,6 +106,8 @@ class RSVPEngine {
 
         this.isPlaying = true;
         this.isPaused = false;
+        this._nextTickAt = performance.now();
+        this._tickLog = [];
         this._emit('play');
         this._tick();
     }
@@ -83,6 +143,7 @@ class RSVPEngine {
             // Rewind to start of current sentence
             this.currentIndex = this._findSentenceStart(this.currentIndex);
         }
+        this._segmentIndex = 0;
         this._emitCurrentWord();
         this._emit('progress', this._progressData());
     }
@@ -97,15 +158,74 @@ class RSVPEngine {
             // Skip to start of next sentence
             this.currentIndex = this._findSentenceEnd(this.currentIndex);
         }
+        this._segmentIndex = 0;
         this._emitCurrentWord();
         this._emit('progress', this._progressData());
     }
 
+    /**
+     * Go to the start of the current paragraph, or the previous one
+     * if already at the start
+     */
+    prevParagraph() {
+        let start = this._findParagraphStart(this.currentIndex);
+        if (start >= this.currentIndex && start > 0) {
+            start = this._findParagraphStart(start - 1);
+        }
+        this.jumpTo(start);
+    }
+
+    /**
+     * Go to the start of the next paragraph
+     */
+    nextParagraph() {
+        for (let i = this.currentIndex; i < this.words.length - 1; i++) {
+            if (this.words[i].paragraphEnd) {
+                this.jumpTo(i + 1);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Go to the start of the current chapter, or the previous one
+     * if already at the start
+     */
+    prevChapter() {
+        const idx = this._chapterIndexAt(this.currentIndex);
+        if (idx < 0) {
+            this.jumpTo(0);
+            return;
+        }
+        const chapter = this.chapters[idx];
+        if (chapter.startWordIndex < this.currentIndex || idx === 0) {
+            this.jumpTo(chapter.startWordIndex);
+        } else {
+            this.jumpTo(this.chapters[idx - 1].startWordIndex);
+        }
+    }
+
+    /**
+     * Go to the start of the next chapter
+     */
+    nextChapter() {
+        const next = this.chapters.find(c => c.startWordIndex > this.currentIndex);
+        if (next) this.jumpTo(next.startWordIndex);
+    }
+
+    /**
+     * Pause automatically when a chapter ends
+     */
+    setPauseAtChapterEnd(enabled) {
+        this.pauseAtChapterEnd = !!enabled;
+    }
+
     /**
      * Jump to a specific word index
      */
     jumpTo(index) {
         this.currentIndex = Math.max(0, Math.min(index, this.words.length - 1));
+        this._segmentIndex = 0;
         this._emitCurrentWord();
         this._emit('progress', this._progressData());
     }
@@ -119,10 +239,14 @@ class RSVPEngine {
     }
 
     /**
-     * Set chunk size (1, 2, or 3 words at a time)
+     * Set chunk size (1, 2, or 3 words at a time, or 'auto')
      */
     setChunkSize(size) {
-        this.chunkSize = Math.max(1, Math.min(3, size));
+        if (size === 'auto') {
+            this.chunkSize = 'auto';
+            return;
+        }
+        this.chunkSize = Math.max(1, Math.min(3, parseInt(size) || 1));
     }
 
     /**
@@ -142,6 +266,31 @@ class RSVPEngine {
         return this._progressData();
     }
 
+    /**
+     * Estimated reading time for a number of words at the current speed
+     * @returns {string} e.g. "12 min" or "1h 5m"
+     */
+    estimateTime(wordCount) {
+        return this._formatTime(wordCount / this.wpm);
+    }
+
+    /**
+     * Reading rate actually delivered over the last few seconds of playback,
+     * or null when there is not enough data yet
+     */
+    getEffectiveWpm() {
+        const log = this._tickLog;
+        if (!this.isPlaying || log.length < 2) return null;
+
+        const elapsed = log[log.length - 1].at - log[0].at;
+        if (elapsed <= 0) return null;
+
+        // Words of the latest tick are still on screen, so they don't count yet
+        let words = 0;
+        for (let i = 0; i < log.length - 1; i++) words += log[i].words;
+        return Math.round(words / elapsed * 60000);
+    }
+
     // --- ORP CALCULATION ---
 
     /**
@@ -155,22 +304,32 @@ class RSVPEngine {
      *
      * For very short words the ORP is near the start; for longer words
      * it converges on the ~35% mark, which is the scientifically optimal
-     * fixation point for Latin-script languages.
+     * fixation point for alphabetic scripts. Strings are in logical order,
+     * so for Arabic and Hebrew the same rule counts from the right edge.
+     * Chinese, Japanese and Korean words are short and dense, and are
+     * fixated at their centre instead.
+     *
+     * The returned index points into the original string, so leading
+     * punctuation such as an opening quote is skipped over.
      */
     static calculateORP(word) {
-        // Strip punctuation to get the "real" word length
-        const cleanWord = word.replace(/[^a-zA-Z0-9À-ÿ'-]/g, '');
-        const len = cleanWord.length;
+        // Positions of the letters and digits that make up the "real" word
+        const positions = [];
+        for (const match of word.matchAll(/[\p{L}\p{N}]/gu)) {
+            positions.push(match.index);
+        }
+        const len = positions.length;
 
         if (len <= 0) return 0;
-        if (len === 1) return 0;
-        if (len === 2) return 0;  // "it" → fix on 'i'
-        if (len === 3) return 1;  // "the" → fix on 'h'
+        if (CENTRE_FIXATION_RE.test(word)) return positions[Math.floor((len - 1) / 2)];
+        if (len === 1) return positions[0];
+        if (len === 2) return positions[0];  // "it" → fix on 'i'
+        if (len === 3) return positions[1];  // "the" → fix on 'h'
 
         // For words 4+ chars, use OVP at ~35% from left, rounded
         // This places the fixation slightly left-of-center, matching
         // the research-backed OVP for fastest word recognition.
-        return Math.floor(len * 0.35);
+        return positions[Math.floor(len * 0.35)];
     }
 
     /**
@@ -179,15 +338,176 @@ class RSVPEngine {
      */
     static splitAtORP(word) {
         const orpIndex = RSVPEngine.calculateORP(word);
+        return RSVPEngine._splitAt(word, orpIndex);
+    }
+
+    /**
+     * Split a multi-word chunk at the ORP of its anchor word — the longest
+     * word that is not a function word — so the eye lands on the word
+     * carrying the meaning rather than at 35% of the whole phrase.
+     * @param {string[]} words
+     */
+    static splitChunkAtORP(words) {
+        if (words.length === 1) return RSVPEngine.splitAtORP(words[0]);
+
+        let anchor = 0;
+        let anchorLen = -1;
+        words.forEach((word, i) => {
+            const len = FUNCTION_WORDS.has(RSVPEngine._normalizeWord(word)) ? 0 : word.length;
+            if (len > anchorLen) {
+                anchor = i;
+                anchorLen = len;
+            }
+        });
+
+        let offset = 0;
+        for (let i = 0; i < anchor; i++) offset += words[i].length + 1;
+
+        const text = words.join(' ');
+        return RSVPEngine._splitAt(text, offset + RSVPEngine.calculateORP(words[anchor]));
+    }
+
+    /**
+     * Split a long token into readable segments: after hyphens, at URL and
+     * path separators, into balanced digit groups, or at likely syllable
+     * breaks. Broken words get a trailing hyphen on every segment but the last.
+     * @param {string} text
+     * @returns {string[]} one entry per segment ([text] if short enough)
+     */
+    static segmentWord(text, maxLength = SEGMENT_MAX_LENGTH) {
+        if (text.length <= SEGMENT_THRESHOLD) return [text];
+
+        // Split after natural separators, keeping the separator on the left piece
+        const separators = /[\/:?&=#]|\.(?=\w)/.test(text) && /[\/@]|\w\.\w+\./.test(text)
+            ? /(?<=[\/?&=#.:@_-])/ // URL, path or e-mail
+            : /(?<=[-–—\/])/;      // hyphenated compound, ISBN, "either/or"
+        const pieces = text.split(separators).filter(p => p.length > 0);
+
+        const segments = [];
+        for (const piece of pieces) {
+            if (piece.length <= maxLength) {
+                segments.push(piece);
+            } else if (/^\d[\d,.'’\u00a0\u2009\u202f]*$/.test(piece)) {
+                // Split after group and decimal separators; a run of digits
+                // too long on its own is cut into even pieces
+                for (const group of piece.split(/(?<=[,.'’\u00a0\u2009\u202f])/)) {
+                    segments.push(...(group.length <= maxLength
+                        ? [group]
+                        : RSVPEngine._balancedSplit(group, Math.ceil(group.length / maxLength))));
+                }
+            } else {
+                segments.push(...RSVPEngine._hyphenate(piece, maxLength));
+            }
+        }
+
+        // Merge neighbours that still fit together
+        const merged = [];
+        for (const seg of segments) {
+            const prev = merged[merged.length - 1];
+            if (prev && !prev.endsWith('‐') && prev.length + seg.length <= maxLength) {
+                merged[merged.length - 1] = prev + seg;
+            } else {
+                merged.push(seg);
+            }
+        }
+
+        // '‐' (U+2010) marks a break we introduced inside a word
+        return merged.map(seg => seg.replace(/‐$/, '-'));
+    }
+
+    /**
+     * Split a string into `count` pieces of near-equal length
+     */
+    static _balancedSplit(str, count) {
+        const pieces = [];
+        let start = 0;
+        for (let i = 0; i < count; i++) {
+            const end = Math.round((str.length * (i + 1)) / count);
+            pieces.push(str.substring(start, end));
+            start = end;
+        }
+        return pieces.filter(p => p.length > 0);
+    }
+
+    /**
+     * Break a long word at likely syllable boundaries (between a vowel and
+     * a consonant-vowel pair, or between two consonants), falling back to
+     * balanced pieces when the script has no vowels we recognise
+     */
+    static _hyphenate(word, maxLength) {
+        const vowel = /[aeiouyàáâãäåæèéêëìíîïòóôõöøùúûüýāēīōūœ]/i;
+        const letter = /\p{L}/u;
+        const breaks = [];
+        for (let i = 3; i <= word.length - 3; i++) {
+            const a = word[i - 1];
+            const b = word[i];
+            const c = word[i + 1];
+            if (!letter.test(a) || !letter.test(b) || !letter.test(c)) continue;
+            const vcv = vowel.test(a) && !vowel.test(b) && vowel.test(c);
+            const cc = !vowel.test(a) && !vowel.test(b) && vowel.test(word[i - 2]) && vowel.test(c);
+            if (vcv || cc) breaks.push(i);
+        }
+
+        // Only alphabetic scripts mark a broken word with a hyphen
+        const mark = /[\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}]/u.test(word) ? '‐' : '';
+
+        const pieces = [];
+        let start = 0;
+        while (word.length - start > maxLength) {
+            // Latest break that keeps the piece (plus its hyphen) within maxLength
+            const candidates = breaks.filter(i => i > start + 2 && i - start < maxLength);
+            let cut = candidates.length > 0
+                ? candidates[candidates.length - 1]
+                : start + maxLength - 1;
+            // Never leave a stub of one or two letters for the last piece
+            cut = Math.min(cut, word.length - 3);
+            pieces.push(word.substring(start, cut) + mark);
+            start = cut;
+        }
+        pieces.push(word.substring(start));
+        return pieces;
+    }
+
+    static _splitAt(word, orpIndex) {
+        // The ORP covers a whole code point plus any combining marks on it
+        let end = orpIndex;
+        if (end < word.length) {
+            end += word.codePointAt(end) > 0xffff ? 2 : 1;
+            while (end < word.length && /\p{M}/u.test(word[end])) end++;
+        }
+
+        let before = word.substring(0, orpIndex);
+        let orp = word.substring(orpIndex, end);
+        let after = word.substring(end);
+
+        // Keep joined letter forms intact across the three spans
+        if (JOINING_SCRIPT_RE.test(word)) {
+            if (before) { before += '\u200d'; orp = '\u200d' + orp; }
+            if (after) { orp += '\u200d'; after = '\u200d' + after; }
+        }
+
         return {
-            before: word.substring(0, orpIndex),
-            orp: word[orpIndex] || '',
-            after: word.substring(orpIndex + 1),
+            before,
+            orp,
+            after,
             orpIndex,
             wordLength: word.length,
         };
     }
 
+    /**
+     * Approximate display width in columns (CJK characters count double)
+     */
+    static _displayWidth(text) {
+        let width = 0;
+        for (const ch of text) width += WIDE_CHAR_RE.test(ch) ? 2 : 1;
+        return width;
+    }
+
+    static _normalizeWord(word) {
+        return word.toLowerCase().replace(/[^a-z']/g, '');
+    }
+
     // --- EVENT SYSTEM ---
 
     on(event, callback) {
@@ -217,74 +537,128 @@ class RSVPEngine {
             return;
         }
 
-        // Get current word(s) based on chunk size
-        const chunk = [];
-        for (let i = 0; i < this.chunkSize && this.currentIndex + i < this.words.length; i++) {
-            chunk.push(this.words[this.currentIndex + i]);
+        const now = performance.now();
+
+        // Re-anchor the timeline after long stalls rather than bursting
+        if (now - this._nextTickAt > MAX_CATCH_UP_MS) {
+            this._nextTickAt = now;
         }
-        const displayWord = chunk.join(' ');
 
-        // Emit the current word
-        this._emit('word', {
-            word: displayWord,
-            index: this.currentIndex,
-            ...RSVPEngine.splitAtORP(displayWord),
-        });
+        // Get current token(s) based on chunk size
+        const chunk = this._currentChunk();
+        const segments = this._segmentsFor(chunk);
+        const isLastSegment = this._segmentIndex >= segments.length - 1;
+        this._logTick(now, isLastSegment ? chunk.length : 0);
+
+        // Emit the current word (or segment of a long word)
+        this._emit('word', this._wordData(chunk, segments));
 
         // Emit progress
         this._emit('progress', this._progressData());
 
-        // Calculate delay for this word
-        const delay = this._calculateDelay(displayWord);
+        // Calculate delay for this chunk
+        const delay = this._calculateDelay(chunk, segments.length > 1 ? segments[this._segmentIndex] : null, isLastSegment);
+
+        // Advance to the next segment, or to the next chunk after the last one
+        if (isLastSegment) {
+            this._segmentIndex = 0;
+            this.currentIndex += chunk.length;
+        } else {
+            this._segmentIndex++;
+        }
 
-        // Advance index
-        this.currentIndex += this.chunkSize;
+        // Schedule next tick against the timeline, so lateness on this tick
+        // is taken out of the next wait instead of accumulating
+        this._nextTickAt += delay;
+        const wait = Math.max(0, this._nextTickAt - performance.now());
+
+        // Hold on the chapter's last word, then pause before the next chapter
+        const nextToken = this.words[this.currentIndex];
+        if (isLastSegment && this.pauseAtChapterEnd && nextToken?.chapterStart) {
+            const chapter = this.chapters[this._chapterIndexAt(this.currentIndex - 1)] || null;
+            this.timerId = setTimeout(() => {
+                this.pause();
+                this._emit('chapterEnd', { chapter, nextIndex: this.currentIndex });
+            }, wait);
+            return;
+        }
 
-        // Schedule next tick
-        this.timerId = setTimeout(() => this._tick(), delay);
+        this.timerId = setTimeout(() => this._tick(), wait);
     }
 
     /**
-     * Calculate display duration for a word based on WPM + modifiers
+     * Record a displayed chunk for effective WPM measurement
      */
-    _calculateDelay(word) {
+    _logTick(at, words) {
+        this._tickLog.push({ at, words });
+        while (this._tickLog.length > 2 && at - this._tickLog[0].at > EFFECTIVE_WPM_WINDOW_MS) {
+            this._tickLog.shift();
+        }
+    }
+
+    /**
+     * Calculate display duration for a chunk of tokens based on WPM + modifiers.
+     * Pauses come from the flags of the last token in the chunk; when a long
+     * token is shown in segments, only its last segment gets them.
+     * @param {Object[]} chunk
+     * @param {string|null} [segment] — segment text when the token is split
+     * @param {boolean} [isLastSegment=true]
+     */
+    _calculateDelay(chunk, segment = null, isLastSegment = true) {
         const baseDelay = 60000 / this.wpm;
+        const last = chunk[chunk.length - 1];
 
         // Word length modifier
-        const cleanLen = word.replace(/[^a-zA-Z0-9]/g, '').length;
+        const text = segment !== null ? segment : chunk.map(t => t.text).join('');
+        const cleanLen = text.replace(/[^\p{L}\p{N}]/gu, '').length;
+        const compact = CENTRE_FIXATION_RE.test(text);
         let modifier = 1.0;
 
-        if (cleanLen <= 3) {
+        if (cleanLen <= (compact ? SHORT_COMPACT_WORD_LENGTH : SHORT_WORD_LENGTH)) {
             modifier = 0.8;
-        } else if (cleanLen >= 8) {
+        } else if (cleanLen >= (compact ? LONG_COMPACT_WORD_LENGTH : LONG_WORD_LENGTH)) {
             modifier = 1.2;
         }
 
+        if (!isLastSegment) {
+            return Math.round(baseDelay * modifier);
+        }
+
         // Punctuation pauses
-        const lastChar = word[word.length - 1];
-        if (['.', '!', '?'].includes(lastChar)) {
+        if (last.sentenceEnd) {
             modifier += 1.0; // Full stop = double pause
-        } else if ([',', ';', ':'].includes(lastChar)) {
+        } else if (last.clauseEnd) {
             modifier += 0.6; // Comma = 60% extra
-        } else if (['"', '"', '"', '\'', ')'].includes(lastChar)) {
-            modifier += 0.3; // Closing quotes = slight pause
         }
 
-        // Paragraph indicator (if word has trailing newlines in original)
-        if (word.includes('\n') || word.includes('¶')) {
+        // Paragraph break
+        if (last.paragraphEnd) {
             modifier += 1.5;
         }
 
+        // Headings and emphasized words get a little extra time
+        if (chunk.some(t => t.heading > 0)) {
+            modifier += 0.5;
+        } else if (chunk.some(t => t.emphasis)) {
+            modifier += 0.2;
+        }
+
         return Math.round(baseDelay * modifier);
     }
 
+    /**
+     * Whether the token ends a sentence (a paragraph end always does)
+     */
+    _isSentenceEnd(token) {
+        return !!token && (token.sentenceEnd || token.paragraphEnd);
+    }
+
     /**
      * Find the start of the sentence containing wordIndex
      */
     _findSentenceStart(index) {
         for (let i = index - 1; i >= 0; i--) {
-            const word = this.words[i];
-            if (word && /[.!?]$/.test(word)) {
+            if (this._isSentenceEnd(this.words[i])) {
                 return i + 1;
             }
         }
@@ -296,26 +670,146 @@ class RSVPEngine {
      */
     _findSentenceEnd(index) {
         for (let i = index; i < this.words.length; i++) {
-            const word = this.words[i];
-            if (word && /[.!?]$/.test(word)) {
+            if (this._isSentenceEnd(this.words[i])) {
                 return Math.min(i + 1, this.words.length - 1);
             }
         }
         return this.words.length - 1;
     }
 
+    /**
+     * Find the first token of the paragraph containing wordIndex
+     */
+    _findParagraphStart(index) {
+        for (let i = index - 1; i >= 0; i--) {
+            if (this.words[i].paragraphEnd) {
+                return i + 1;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Index into this.chapters of the chapter containing wordIndex (-1 if none)
+     */
+    _chapterIndexAt(index) {
+        let found = -1;
+        for (let i = 0; i < this.chapters.length; i++) {
+            if (this.chapters[i].startWordIndex > index) break;
+            found = i;
+        }
+        return found;
+    }
+
+    /**
+     * Tokens displayed together starting at the current index.
+     * A chunk never runs across the start of a chapter.
+     */
+    _currentChunk() {
+        if (this.chunkSize === 'auto') return this._smartChunk();
+
+        const chunk = [];
+        for (let i = 0; i < this.chunkSize && this.currentIndex + i < this.words.length; i++) {
+            const token = this.words[this.currentIndex + i];
+            if (i > 0 && token.chapterStart) break;
+            chunk.push(token);
+        }
+        return chunk;
+    }
+
+    /**
+     * Group tokens by target width and phrase boundaries: punctuation and
+     * paragraph ends always close a chunk, and a function word is kept with
+     * the word it introduces even if that overshoots the width a little.
+     */
+    _smartChunk() {
+        const chunk = [];
+        let width = 0;
+
+        for (let i = this.currentIndex; i < this.words.length; i++) {
+            const token = this.words[i];
+            const tokenWidth = RSVPEngine._displayWidth(token.text);
+            const newWidth = chunk.length > 0 ? width + 1 + tokenWidth : tokenWidth;
+
+            // Tokens long enough to be segmented are always shown on their own
+            const isLong = token.text.length > SEGMENT_THRESHOLD;
+            if ((isLong || token.chapterStart) && chunk.length > 0) break;
+
+            if (chunk.length > 0) {
+                const prev = chunk[chunk.length - 1];
+                if (token.heading !== prev.heading) break;
+
+                // Only a word introduced by a function word may overshoot the
+                // width; a chunk of nothing but function words always takes it
+                const onlyIntro = chunk.every(t => this._isFunctionWord(t));
+                if (newWidth > this.chunkWidth && !onlyIntro) {
+                    if (this._isFunctionWord(token) || !this._isFunctionWord(prev)) break;
+                    if (newWidth > this.chunkWidth * CHUNK_OVERFLOW_FACTOR) break;
+                }
+            }
+
+            chunk.push(token);
+            width = newWidth;
+
+            if (isLong || token.sentenceEnd || token.clauseEnd || token.paragraphEnd) break;
+        }
+
+        // Don't leave a function word dangling at the end of a chunk
+        while (chunk.length > 1) {
+            const last = chunk[chunk.length - 1];
+            if (last.clauseEnd || last.sentenceEnd || last.paragraphEnd) break;
+            if (!this._isFunctionWord(last)) break;
+            if (this.currentIndex + chunk.length >= this.words.length) break;
+            chunk.pop();
+        }
+
+        return chunk;
+    }
+
+    _isFunctionWord(token) {
+        return FUNCTION_WORDS.has(RSVPEngine._normalizeWord(token.text));
+    }
+
+    /**
+     * Segments to display for a chunk: the pieces of a single long token,
+     * or one entry covering the whole chunk
+     */
+    _segmentsFor(chunk) {
+        if (chunk.length !== 1) return [null];
+        const token = chunk[0];
+        if (this._segmentCache?.token !== token) {
+            this._segmentCache = { token, segments: RSVPEngine.segmentWord(token.text) };
+        }
+        const segments = this._segmentCache.segments;
+        return segments.length > 1 ? segments : [null];
+    }
+
+    /**
+     * Build the payload of a 'word' event for a chunk.
+     * `index` is the token index even while a segment is shown,
+     * so bookmarks always point at a whole word.
+     */
+    _wordData(chunk, segments = this._segmentsFor(chunk)) {
+        const segmentIndex = Math.min(this._segmentIndex, segments.length - 1);
+        const segment = segments[segmentIndex];
+        const split = segment !== null
+            ? RSVPEngine.splitAtORP(segment)
+            : RSVPEngine.splitChunkAtORP(chunk.map(t => t.text));
+
+        return {
+            word: segment !== null ? segment : chunk.map(t => t.text).join(' '),
+            index: this.currentIndex,
+            tokens: chunk,
+            heading: chunk[0].heading,
+            emphasis: chunk.every(t => t.emphasis),
+            segment: { index: segmentIndex, count: segments.length },
+            ...split,
+        };
+    }
+
     _emitCurrentWord() {
         if (this.currentIndex < this.words.length) {
-            const chunk = [];
-            for (let i = 0; i < this.chunkSize && this.currentIndex + i < this.words.length; i++) {
-                chunk.push(this.words[this.currentIndex + i]);
-            }
-            const displayWord = chunk.join(' ');
-            this._emit('word', {
-                word: displayWord,
-                index: this.currentIndex,
-                ...RSVPEngine.splitAtORP(displayWord),
-            });
+            this._emit('word', this._wordData(this._currentChunk()));
         }
     }
 
@@ -324,14 +818,19 @@ class RSVPEngine {
         const current = this.currentIndex;
         const percent = total > 0 ? (current / total) * 100 : 0;
         const wordsRemaining = Math.max(0, total - current);
-        const minutesRemaining = wordsRemaining / this.wpm;
+        const chapterIdx = this._chapterIndexAt(current);
+        const chapter = chapterIdx >= 0
+            ? { index: chapterIdx, ...this.chapters[chapterIdx] }
+            : null;
 
         return {
             current,
             total,
             percent: Math.min(100, percent),
             wordsRemaining,
-            timeRemaining: this._formatTime(minutesRemaining),
+            timeRemaining: this.estimateTime(wordsRemaining),
+            effectiveWpm: this.getEffectiveWpm(),
+            chapter,
         };
     }
 
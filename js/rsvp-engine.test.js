@@ -0,0 +1,46 @@
+/* ============================================
+   SnapRead — RSVP Engine Tests
+   Run with: node --test
+   ============================================ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Browser script: run it in its own context and take the class
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'rsvp-engine.js'), 'utf8'), context);
+const RSVPEngine = vm.runInContext('RSVPEngine', context);
+
+// Copied so deepEqual compares against an array of this realm
+const segment = (word) => [...RSVPEngine.segmentWord(word)];
+
+test('short words are not segmented', () => {
+    assert.deepEqual(segment('short'), ['short']);
+    assert.deepEqual(segment('thirteen-char'), ['thirteen-char']);
+});
+
+test('hyphenated compounds split after their hyphens', () => {
+    assert.deepEqual(segment('well-known-thing-here'), ['well-', 'known-', 'thing-', 'here']);
+});
+
+test('URLs split at their separators', () => {
+    assert.deepEqual(segment('https://example.com/path/to/page'), ['https://', 'example.', 'com/path/', 'to/page']);
+});
+
+test('numbers split at their digit group separators', () => {
+    assert.deepEqual(segment('1,234,567,890.12'), ['1,234,', '567,890.', '12']);
+});
+
+test('long digit runs split into even pieces', () => {
+    assert.deepEqual(segment('123456789012345'), ['12345678', '9012345']);
+});
+
+test('long words are hyphenated into pieces that fit', () => {
+    const segments = segment('internationalization');
+    assert.deepEqual(segments, ['interna-', 'tionali-', 'zation']);
+    for (const segment of segments) assert.ok(segment.length <= 9);
+    assert.equal(segments.map(s => s.replace(/-$/, '')).join(''), 'internationalization');
+});
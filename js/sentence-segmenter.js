@@ -0,0 +1,157 @@
+/* ============================================
+   SnapRead — Sentence Boundary Detection
+   Abbreviation- and number-aware segmentation
+   of the token stream, run once at parse time
+   ============================================ */
+
+// Titles are always followed by a name, never by a new sentence
+const TITLE_ABBREVIATIONS = {
+    en: ['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'gen', 'col', 'capt', 'lt', 'sgt', 'rev', 'hon', 'mt', 'ft', 'messrs', 'gov', 'sen', 'rep', 'pres'],
+    de: ['hr', 'fr', 'frl', 'dr', 'prof', 'st'],
+    fr: ['m', 'mm', 'mme', 'mlle', 'dr', 'pr', 'me', 'st', 'ste'],
+    es: ['sr', 'sra', 'srta', 'dr', 'dra', 'd', 'da', 'prof', 'sto', 'sta'],
+    it: ['sig', 'sigg', 'sig.ra', 'dott', 'prof', 'avv', 'ing', 'on'],
+    pt: ['sr', 'sra', 'dr', 'dra', 'prof', 'd'],
+    nl: ['dhr', 'mevr', 'mw', 'dr', 'prof', 'mr', 'ir', 'drs'],
+    ru: ['г', 'гг', 'тов', 'гн', 'проф', 'акад'],
+};
+
+// Abbreviations that usually continue the sentence. Ones that are also
+// plain words ("no", "min", "dec") are left out: as abbreviations they
+// come before a number, and a number never starts a new sentence anyway.
+const ABBREVIATIONS = {
+    en: ['e.g', 'i.e', 'cf', 'vs', 'viz', 'approx', 'fig', 'figs', 'nos', 'vol', 'vols', 'pp', 'ch', 'chap', 'ed', 'eds', 'al', 'dept', 'univ', 'assn', 'bros', 'inc', 'ltd', 'corp', 'ca', 'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'a.m', 'p.m', 'op', 'ibid', 'esp', 'tel'],
+    de: ['z.b', 'd.h', 'u.a', 'usw', 'bzw', 'ca', 'vgl', 'evtl', 'ggf', 'nr', 'bd', 'abs', 'abb', 'inkl', 'zzgl', 'ff', 's', 'u.ä', 'o.ä', 'bzgl', 'gem', 'jh', 'sog', 'z.t'],
+    fr: ['p.ex', 'cf', 'env', 'etc', 'av', 'apr', 'n°', 'no', 'vol', 'chap', 'p', 'pp', 'éd', 'fig'],
+    es: ['p.ej', 'etc', 'vol', 'cap', 'pág', 'págs', 'núm', 'aprox', 'ej', 'fig', 'ud', 'uds', 'vd', 'vds'],
+    it: ['ecc', 'p.es', 'cfr', 'vol', 'cap', 'pag', 'fig', 'n'],
+    pt: ['p.ex', 'etc', 'vol', 'cap', 'pág', 'fig', 'n', 'aprox'],
+    nl: ['bijv', 'd.w.z', 'o.a', 'enz', 'nr', 'blz', 'ca', 'resp', 'vgl'],
+    ru: ['т.е', 'т.д', 'т.п', 'др', 'пр', 'см', 'стр', 'рис', 'им', 'ул', 'д', 'кв', 'т.к', 'напр'],
+};
+
+// Languages that write ordinal numbers as "3." ("am 3. Oktober")
+const ORDINAL_DOT_LANGUAGES = new Set(['de', 'da', 'no', 'nb', 'nn', 'fi', 'cs', 'sk', 'sl', 'pl', 'hu', 'hr', 'sr', 'bs', 'tr', 'is', 'et', 'lv', 'lt']);
+
+// Words that commonly open an English sentence; used to decide whether
+// an acronym like "U.S." or "etc." closes the sentence before a capital
+const SENTENCE_STARTERS = new Set([
+    'the', 'a', 'an', 'it', 'its', 'he', 'she', 'they', 'we', 'i', 'you', 'this', 'that', 'these', 'those',
+    'there', 'in', 'on', 'at', 'but', 'and', 'so', 'yet', 'then', 'when', 'while', 'if', 'as', 'after',
+    'before', 'however', 'meanwhile', 'still', 'his', 'her', 'their', 'our', 'my', 'what', 'why', 'how',
+    'who', 'where', 'for', 'no', 'yes', 'one', 'some', 'many', 'most', 'all',
+]);
+
+// Trailing closing quotes and brackets after terminal punctuation
+const CLOSERS = '"\'”’»)\\]」』）】〉》';
+const CLOSERS_ONLY_RE = new RegExp(`^[${CLOSERS}]+$`);
+const TRAILING_CLOSERS_RE = new RegExp(`[${CLOSERS}]+$`);
+
+class SentenceSegmenter {
+    constructor() {
+        this._titles = this._buildSets(TITLE_ABBREVIATIONS);
+        this._abbreviations = this._buildSets(ABBREVIATIONS);
+    }
+
+    /**
+     * Set `sentenceEnd` on every token that closes a sentence.
+     * Paragraph ends always close a sentence.
+     * @param {Object[]} tokens - token stream from FileParser
+     * @param {string} [lang] - BCP 47 language of the text
+     */
+    markSentences(tokens, lang = '') {
+        const primary = (lang || 'en').toLowerCase().split(/[-_]/)[0];
+        const titles = this._titles[primary] || this._titles.en;
+        const abbreviations = this._abbreviations[primary] || this._abbreviations.en;
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.paragraphEnd) {
+                token.sentenceEnd = true;
+                continue;
+            }
+
+            // A closing quote standing on its own ends the sentence its
+            // predecessor ended; the predecessor then does not
+            const next = tokens[i + 1];
+            if (next && CLOSERS_ONLY_RE.test(next.text)) {
+                token.sentenceEnd = false;
+                continue;
+            }
+            let text = token.text;
+            if (CLOSERS_ONLY_RE.test(text) && i > 0) {
+                text = tokens[i - 1].text + text;
+            }
+
+            const isParagraphStart = i === 0 || tokens[i - 1].paragraphEnd;
+            token.sentenceEnd = this._isBoundary(text, next, { primary, titles, abbreviations, isParagraphStart });
+        }
+        return tokens;
+    }
+
+    /**
+     * Decide whether a token's text ends a sentence, given the token after it
+     */
+    _isBoundary(text, next, { primary, titles, abbreviations, isParagraphStart }) {
+        const core = text.replace(TRAILING_CLOSERS_RE, '');
+
+        // CJK full stops are unambiguous
+        if (/[。！？｡]$/.test(core)) return true;
+        if (!/[.!?…]$/.test(core)) return false;
+
+        const nextStart = next ? this._firstChar(next.text) : '';
+        const nextLower = /\p{Ll}/u.test(nextStart);
+        const nextUpper = /\p{Lu}/u.test(nextStart);
+
+        // "Really?" he asked. / "Stop!" she cried.
+        if (/[!?]$/.test(core)) return !nextLower;
+
+        // Ellipsis only ends a sentence before a capital
+        if (/(\.\.\.|…)$/.test(core)) return !next || nextUpper;
+
+        // Plain full stop
+        if (!next) return true;
+        if (nextLower || /\p{N}/u.test(nextStart)) return false;
+
+        const word = core.slice(0, -1).replace(/^[^\p{L}\p{N}]+/u, '');
+        const lower = word.toLowerCase();
+
+        if (titles.has(lower)) return false;
+        if (abbreviations.has(lower)) return false;
+
+        // Single initials: "J. R. R. Tolkien"
+        if (/^\p{Lu}$/u.test(word)) return false;
+
+        // Numbers: list markers and ordinals ("3. Oktober")
+        if (/^\d+$/.test(word)) {
+            if (isParagraphStart) return false;
+            if (ORDINAL_DOT_LANGUAGES.has(primary)) return false;
+            return true;
+        }
+
+        // Dotted acronyms ("U.S.", "Ph.D."), "etc." and "Co." close the
+        // sentence only when the next word looks like the start of a new one
+        if (/^(\p{L}{1,3}\.)+\p{L}{1,3}$/u.test(word) || ['etc', 'usw', 'co'].includes(lower)) {
+            const nextWord = next.text.replace(/^[^\p{L}]+/u, '').replace(/[^\p{L}]+$/u, '').toLowerCase();
+            return SENTENCE_STARTERS.has(nextWord);
+        }
+
+        return true;
+    }
+
+    _firstChar(text) {
+        const match = text.match(/[\p{L}\p{N}]/u);
+        return match ? match[0] : '';
+    }
+
+    _buildSets(lists) {
+        const sets = {};
+        for (const [lang, words] of Object.entries(lists)) {
+            sets[lang] = new Set(words);
+        }
+        return sets;
+    }
+}
+
+// Export singleton
+const sentenceSegmenter = new SentenceSegmenter();
@@ -0,0 +1,57 @@
+/* ============================================
+   SnapRead — Sentence Segmenter Tests
+   Run with: node --test
+   ============================================ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Browser script: run it in its own context and take the singleton
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(__dirname, 'sentence-segmenter.js'), 'utf8'), context);
+const sentenceSegmenter = vm.runInContext('sentenceSegmenter', context);
+
+/**
+ * Tokens of one paragraph, and the texts of those marked as sentence ends
+ */
+function sentenceEnds(text, lang) {
+    const tokens = text.split(' ').map(word => ({ text: word }));
+    tokens[tokens.length - 1].paragraphEnd = true;
+    return sentenceSegmenter.markSentences(tokens, lang)
+        .filter(token => token.sentenceEnd)
+        .map(token => token.text);
+}
+
+test('ends sentences at terminal punctuation', () => {
+    assert.deepEqual(sentenceEnds('Was it? Yes. No! Maybe…'), ['it?', 'Yes.', 'No!', 'Maybe…']);
+});
+
+test('paragraph ends always end a sentence', () => {
+    assert.deepEqual(sentenceEnds('No full stop here'), ['here']);
+});
+
+test('titles never end a sentence', () => {
+    assert.deepEqual(sentenceEnds('He met Mr. Smith. Then he left.'), ['Smith.', 'left.']);
+});
+
+test('abbreviations and initialisms continue the sentence', () => {
+    assert.deepEqual(sentenceEnds('We saw e.g. apples and pears. Fine.'), ['pears.', 'Fine.']);
+    assert.deepEqual(sentenceEnds('See Fig. 3 for details. Then'), ['details.', 'Then']);
+    assert.deepEqual(sentenceEnds('The U.S. Army came. They'), ['came.', 'They']);
+});
+
+test('an ellipsis before a lowercase word continues the sentence', () => {
+    assert.deepEqual(sentenceEnds('Wait... and then. Done'), ['then.', 'Done']);
+});
+
+test('closing quotes end the sentence they close', () => {
+    assert.deepEqual(sentenceEnds('He said "Go!" Then he went.'), ['"Go!"', 'went.']);
+    assert.deepEqual(sentenceEnds('"Stop." ” He ran. Away'), ['”', 'ran.', 'Away']);
+});
+
+test('ordinal numbers do not end a sentence in German', () => {
+    assert.deepEqual(sentenceEnds('Am 3. Mai kam er. Dann ging er.', 'de'), ['er.', 'er.']);
+});
@@ -10,6 +10,11 @@ class Settings {
             orpColor: '#ff4444',
             fontSize: 'medium',
             chunkSize: 1,
+            pauseAtChapterEnd: false,
+            importEncoding: '',
+            librarySort: 'recent',
+            syncServer: '',
+            syncKey: '',
             theme: 'amber-dark',
         };
 
@@ -76,6 +81,27 @@ class Settings {
                 rsvpEngine.setChunkSize(value);
                 this._updateToggleGroup('chunk-size-toggle', value.toString());
                 break;
+
+            case 'pauseAtChapterEnd':
+                rsvpEngine.setPauseAtChapterEnd(value);
+                this._updateToggleGroup('chapter-pause-toggle', value.toString());
+                break;
+
+            case 'importEncoding':
+                const importEncoding = document.getElementById('setting-import-encoding');
+                if (importEncoding) importEncoding.value = value;
+                break;
+
+            case 'librarySort':
+                const librarySort = document.getElementById('library-sort');
+                if (librarySort) librarySort.value = value;
+                break;
+
+            case 'syncServer':
+            case 'syncKey':
+                const syncInput = document.getElementById(key === 'syncKey' ? 'setting-sync-key' : 'setting-sync-server');
+                if (syncInput) syncInput.value = value;
+                break;
         }
     }
 
@@ -125,6 +151,31 @@ class Settings {
 
         // Chunk size
         this._updateToggleGroup('chunk-size-toggle', this.current.chunkSize.toString());
+
+        // Chapter pause
+        this._updateToggleGroup('chapter-pause-toggle', this.current.pauseAtChapterEnd.toString());
+
+        // Per-book options
+        const bookGroup = document.getElementById('setting-group-book');
+        if (bookGroup) {
+            bookGroup.style.display = reader.currentFile ? 'block' : 'none';
+        }
+        const languageSelect = document.getElementById('setting-book-language');
+        if (languageSelect && reader.currentFile) {
+            languageSelect.value = reader.currentFile.language || '';
+        }
+
+        // Encoding only applies to formats decoded as plain text
+        const encodingRow = document.getElementById('setting-book-encoding-row');
+        const encodingSelect = document.getElementById('setting-book-encoding');
+        const detected = reader.parsedDoc?.encoding;
+        if (encodingRow) encodingRow.style.display = detected ? 'flex' : 'none';
+        if (encodingSelect && detected) {
+            encodingSelect.options[0].textContent = reader.currentFile.encoding
+                ? 'Auto-detect'
+                : `Auto-detect (${detected})`;
+            encodingSelect.value = reader.currentFile.encoding || '';
+        }
     }
 
     /**
@@ -163,10 +214,50 @@ class Settings {
         if (chunkToggle) {
             chunkToggle.addEventListener('click', (e) => {
                 const btn = e.target.closest('button');
-                if (btn) this.set('chunkSize', parseInt(btn.dataset.value));
+                if (!btn) return;
+                const value = btn.dataset.value === 'auto' ? 'auto' : parseInt(btn.dataset.value);
+                this.set('chunkSize', value);
             });
         }
 
+        // Chapter pause toggles
+        const chapterPauseToggle = document.getElementById('chapter-pause-toggle');
+        if (chapterPauseToggle) {
+            chapterPauseToggle.addEventListener('click', (e) => {
+                const btn = e.target.closest('button');
+                if (btn) this.set('pauseAtChapterEnd', btn.dataset.value === 'true');
+            });
+        }
+
+        // Book language override
+        const languageSelect = document.getElementById('setting-book-language');
+        if (languageSelect) {
+            languageSelect.addEventListener('change', (e) => {
+                reader.setLanguage(e.target.value);
+            });
+        }
+
+        // Encoding for newly added text files
+        document.getElementById('setting-import-encoding')?.addEventListener('change', (e) => {
+            this.set('importEncoding', e.target.value);
+        });
+
+        // Sync account
+        document.getElementById('setting-sync-server')?.addEventListener('change', (e) => {
+            this.set('syncServer', e.target.value.trim());
+        });
+        document.getElementById('setting-sync-key')?.addEventListener('change', (e) => {
+            this.set('syncKey', e.target.value.trim());
+        });
+        document.getElementById('btn-sync-now')?.addEventListener('click', () => {
+            library.sync();
+        });
+
+        // Book encoding override
+        document.getElementById('setting-book-encoding')?.addEventListener('change', (e) => {
+            reader.setEncoding(e.target.value);
+        });
+
         // Close buttons
         document.getElementById('settings-overlay')?.addEventListener('click', () => this.close());
         document.getElementById('settings-close')?.addEventListener('click', () => this.close());
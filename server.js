@@ -1,10 +1,17 @@
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 const PORT = 8080;
 const ROOT = __dirname;
 
+// Sync data lives in one JSON file per user; never served as a static file
+const SYNC_DIR = process.env.SNAPREAD_SYNC_DIR || path.join(ROOT, 'sync-data');
+const SYNC_COLLECTIONS = ['progress', 'settings', 'annotations'];
+const MAX_BODY_BYTES = 1024 * 1024;
+const MIN_SYNC_KEY_LENGTH = 8;
+
 const MIME_TYPES = {
     '.html': 'text/html',
     '.css': 'text/css',
@@ -20,11 +27,238 @@ const MIME_TYPES = {
     '.ico': 'image/x-icon',
 };
 
-const server = http.createServer((req, res) => {
-    let filePath = path.join(ROOT, req.url === '/' ? 'index.html' : req.url);
+// --- SYNC STORE ---
+
+/**
+ * A user's store:
+ * { revision, collections: { progress: { [key]: record }, settings, annotations } }
+ * Every record is { key, updatedAt, value, deleted?, revision }. `revision`
+ * counts writes to the store, so clients pull "everything after revision N"
+ * without trusting each other's clocks.
+ */
+function emptyStore() {
+    const collections = {};
+    for (const name of SYNC_COLLECTIONS) collections[name] = {};
+    return { revision: 0, collections };
+}
+
+function storePath(userId) {
+    return path.join(SYNC_DIR, `${userId}.json`);
+}
+
+async function readStore(userId) {
+    try {
+        const store = JSON.parse(await fs.promises.readFile(storePath(userId), 'utf8'));
+        for (const name of SYNC_COLLECTIONS) store.collections[name] = store.collections[name] || {};
+        return store;
+    } catch (err) {
+        if (err.code === 'ENOENT') return emptyStore();
+        throw err;
+    }
+}
+
+/**
+ * Write through a temporary file, so a crash never leaves half a store
+ */
+async function writeStore(userId, store) {
+    await fs.promises.mkdir(SYNC_DIR, { recursive: true });
+    const target = storePath(userId);
+    const temp = `${target}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(store));
+    await fs.promises.rename(temp, target);
+}
+
+// Requests for the same user run one after another
+const userQueues = new Map();
+
+function withUserStore(userId, task) {
+    const previous = userQueues.get(userId) || Promise.resolve();
+    const run = previous.then(() => task());
+    const settled = run.catch(() => {});
+    userQueues.set(userId, settled);
+    settled.then(() => {
+        if (userQueues.get(userId) === settled) userQueues.delete(userId);
+    });
+    return run;
+}
+
+/**
+ * Pick the record to keep. Last writer wins, except for reading progress
+ * that two devices changed independently: the pushing device hadn't
+ * pulled the stored position yet, so the furthest position is kept.
+ * @param {number} since - the last revision the pushing device pulled
+ */
+function resolveConflict(collection, stored, incoming, since) {
+    if (collection === 'progress' && stored.revision > since && !stored.deleted && !incoming.deleted
+        && incoming.value.wordIndex !== stored.value.wordIndex) {
+        return incoming.value.wordIndex > stored.value.wordIndex ? incoming : stored;
+    }
+    return incoming.updatedAt >= stored.updatedAt ? incoming : stored;
+}
+
+function sameRecord(a, b) {
+    return a.updatedAt === b.updatedAt && !!a.deleted === !!b.deleted
+        && JSON.stringify(a.value) === JSON.stringify(b.value);
+}
+
+/**
+ * Merge pushed changes into a store
+ * @returns {{ accepted: number, rejected: number }}
+ */
+function applyChanges(store, changes, since) {
+    let accepted = 0;
+    let rejected = 0;
+    const revision = store.revision + 1;
+
+    for (const name of SYNC_COLLECTIONS) {
+        const records = store.collections[name];
+        for (const incoming of changes[name] || []) {
+            const stored = records[incoming.key];
+            if (stored && sameRecord(stored, incoming)) continue;
+
+            const winner = stored ? resolveConflict(name, stored, incoming, since) : incoming;
+            if (winner === incoming) {
+                records[incoming.key] = { ...incoming, revision };
+                accepted++;
+            } else {
+                // Announce the stored record again so the pushing device pulls it
+                stored.revision = revision;
+                rejected++;
+            }
+        }
+    }
+
+    if (accepted + rejected > 0) store.revision = revision;
+    return { accepted, rejected };
+}
+
+function changesSince(store, since) {
+    const changes = {};
+    for (const name of SYNC_COLLECTIONS) {
+        changes[name] = Object.values(store.collections[name])
+            .filter(record => record.revision > since)
+            .map(({ revision, ...record }) => record);
+    }
+    return changes;
+}
+
+/**
+ * Check the shape of a pushed change set; returns an error message or null
+ */
+function validateChanges(changes) {
+    if (!changes || typeof changes !== 'object') return 'changes must be an object';
+    for (const [name, records] of Object.entries(changes)) {
+        if (!SYNC_COLLECTIONS.includes(name)) return `Unknown collection "${name}"`;
+        if (!Array.isArray(records)) return `${name} must be an array`;
+        for (const record of records) {
+            if (!record || typeof record.key !== 'string' || !record.key || record.key.length > 256) {
+                return `${name} records need a key`;
+            }
+            if (!Number.isFinite(record.updatedAt)) return `${name}/${record.key} has no updatedAt`;
+            if (name === 'progress' && !record.deleted && !Number.isFinite(record.value?.wordIndex)) {
+                return `progress/${record.key} has no wordIndex`;
+            }
+        }
+    }
+    return null;
+}
+
+// --- SYNC API ---
+
+/**
+ * The sync key is the only credential: every device that sends the same
+ * key shares one store, kept under a hash of the key
+ */
+function syncUser(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match || match[1].length < MIN_SYNC_KEY_LENGTH) return null;
+    return crypto.createHash('sha256').update(match[1]).digest('hex');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                // Keep draining so the error response still reaches the client
+                reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * GET  /api/sync?since=N     -> { revision, changes }
+ * POST /api/sync { since, changes } -> { revision, accepted, rejected }
+ * `changes` maps each collection to an array of records.
+ */
+async function handleSync(req, res, url) {
+    const userId = syncUser(req);
+    if (!userId) {
+        sendJson(res, 401, { error: `Send a sync key of at least ${MIN_SYNC_KEY_LENGTH} characters` });
+        return;
+    }
+
+    if (req.method === 'GET') {
+        const since = Number(url.searchParams.get('since')) || 0;
+        const store = await withUserStore(userId, () => readStore(userId));
+        sendJson(res, 200, { revision: store.revision, changes: changesSince(store, since) });
+        return;
+    }
+
+    if (req.method === 'POST') {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch (err) {
+            sendJson(res, err.status || 400, { error: err.status ? err.message : 'Invalid JSON' });
+            return;
+        }
+        const error = validateChanges(body?.changes);
+        if (error) {
+            sendJson(res, 400, { error });
+            return;
+        }
+
+        const since = Number(body.since) || 0;
+        const result = await withUserStore(userId, async () => {
+            const store = await readStore(userId);
+            const counts = applyChanges(store, body.changes, since);
+            if (counts.accepted + counts.rejected > 0) await writeStore(userId, store);
+            return { revision: store.revision, ...counts };
+        });
+        sendJson(res, 200, result);
+        return;
+    }
+
+    res.writeHead(405, { Allow: 'GET, POST' });
+    res.end();
+}
+
+// --- STATIC FILES ---
+
+function serveStatic(req, res, url) {
+    const filePath = path.join(ROOT, url.pathname === '/' ? 'index.html' : url.pathname);
     const ext = path.extname(filePath).toLowerCase();
     const contentType = MIME_TYPES[ext] || 'application/octet-stream';
 
+    if (!filePath.startsWith(ROOT + path.sep) || filePath.startsWith(SYNC_DIR + path.sep)) {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found');
+        return;
+    }
+
     fs.readFile(filePath, (err, data) => {
         if (err) {
             res.writeHead(404, { 'Content-Type': 'text/plain' });
@@ -34,8 +268,27 @@ const server = http.createServer((req, res) => {
         res.writeHead(200, { 'Content-Type': contentType });
         res.end(data);
     });
-});
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/api/sync') {
+        handleSync(req, res, url).catch((err) => {
+            console.error('Sync request failed:', err);
+            if (!res.headersSent) sendJson(res, 500, { error: 'Sync failed on the server' });
+        });
+        return;
+    }
 
-server.listen(PORT, () => {
-    console.log(`SnapRead dev server running at http://localhost:${PORT}`);
+    serveStatic(req, res, url);
 });
+
+// Started directly (node server.js); tests require it for the sync logic
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`SnapRead dev server running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { emptyStore, resolveConflict, applyChanges, changesSince, validateChanges };
@@ -0,0 +1,72 @@
+/* ============================================
+   SnapRead — Sync Server Tests
+   Run with: node --test
+   ============================================ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { emptyStore, resolveConflict, applyChanges, changesSince } = require('./server');
+
+const progress = (wordIndex, updatedAt, extra = {}) => ({
+    key: 'book', updatedAt, value: { wordIndex }, ...extra,
+});
+
+test('the most recent change wins', () => {
+    const stored = { key: 'wpm', updatedAt: 100, value: 300, revision: 1 };
+    const newer = { key: 'wpm', updatedAt: 200, value: 450 };
+    const older = { key: 'wpm', updatedAt: 50, value: 450 };
+    assert.equal(resolveConflict('settings', stored, newer, 0), newer);
+    assert.equal(resolveConflict('settings', stored, older, 0), stored);
+});
+
+test('independent reading keeps the furthest position', () => {
+    // The pushing device last pulled revision 1; the stored position is newer
+    const stored = progress(500, 100, { revision: 2 });
+    assert.equal(resolveConflict('progress', stored, progress(200, 300), 1), stored);
+    const further = progress(800, 50);
+    assert.equal(resolveConflict('progress', stored, further, 1), further);
+});
+
+test('a device that has seen the stored position may move back', () => {
+    const stored = progress(500, 100, { revision: 2 });
+    const back = progress(200, 300);
+    assert.equal(resolveConflict('progress', stored, back, 2), back);
+});
+
+test('deletions are decided by time alone', () => {
+    const stored = progress(500, 100, { revision: 2 });
+    const deleted = progress(0, 300, { deleted: true });
+    assert.equal(resolveConflict('progress', stored, deleted, 1), deleted);
+});
+
+test('applyChanges stores new records under the next revision', () => {
+    const store = emptyStore();
+    const result = applyChanges(store, { settings: [{ key: 'wpm', updatedAt: 100, value: 300 }] }, 0);
+    assert.deepEqual(result, { accepted: 1, rejected: 0 });
+    assert.equal(store.revision, 1);
+    assert.deepEqual(store.collections.settings.wpm, { key: 'wpm', updatedAt: 100, value: 300, revision: 1 });
+});
+
+test('applyChanges ignores records it already has', () => {
+    const store = emptyStore();
+    const changes = { settings: [{ key: 'wpm', updatedAt: 100, value: 300 }] };
+    applyChanges(store, changes, 0);
+    assert.deepEqual(applyChanges(store, changes, 1), { accepted: 0, rejected: 0 });
+    assert.equal(store.revision, 1);
+});
+
+test('a rejected change announces the stored record again', () => {
+    const store = emptyStore();
+    applyChanges(store, { progress: [progress(500, 100)] }, 0);
+    applyChanges(store, { settings: [{ key: 'wpm', updatedAt: 100, value: 300 }] }, 1);
+
+    // Pushed by a device that pulled nothing since revision 0
+    const result = applyChanges(store, { progress: [progress(200, 300)] }, 0);
+    assert.deepEqual(result, { accepted: 0, rejected: 1 });
+    assert.equal(store.revision, 3);
+    assert.deepEqual(changesSince(store, 2), {
+        progress: [progress(500, 100)],
+        settings: [],
+        annotations: [],
+    });
+});
@@ -9,10 +9,19 @@ const APP_SHELL = [
     './',
     './index.html',
     './css/styles.css',
+    './js/content-hash.js',
     './js/db.js',
+    './js/encoding-detector.js',
+    './js/sentence-segmenter.js',
     './js/file-parser.js',
+    './js/parse-service.js',
+    './js/parse-worker.js',
     './js/rsvp-engine.js',
     './js/library.js',
+    './js/backup.js',
+    './js/position-anchor.js',
+    './js/annotations.js',
+    './js/annotation-export.js',
     './js/reader.js',
     './js/settings.js',
     './js/app.js',
@@ -52,6 +61,11 @@ self.addEventListener('activate', (event) => {
 self.addEventListener('fetch', (event) => {
     const url = new URL(event.request.url);
 
+    // Sync API — always live, never cached
+    if (url.origin === self.location.origin && url.pathname.endsWith('/api/sync')) {
+        return;
+    }
+
     // For Google Fonts — cache first with network fallback
     if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
         event.respondWith(